@@ -0,0 +1,19 @@
+/**
+ * Site adapter for novelupdates.com
+ */
+
+class NovelUpdatesAdapter extends SiteAdapter {
+    constructor() {
+        super(['novelupdates.com'], {
+            titleSelector: '.seriestitlenu',
+            authorSelector: '#showauthors',
+            chapterSelectors: ['#chapterlist a'],
+            contentSelector: '.chapter-content'
+        });
+    }
+}
+
+SiteAdapterRegistry.register(new NovelUpdatesAdapter());
+
+// Export for use in other modules
+window.NovelUpdatesAdapter = NovelUpdatesAdapter;
@@ -0,0 +1,19 @@
+/**
+ * Site adapter for wuxiaworld.com
+ */
+
+class WuxiaWorldAdapter extends SiteAdapter {
+    constructor() {
+        super(['wuxiaworld.com'], {
+            titleSelector: '.novel-title',
+            authorSelector: '.author',
+            chapterSelectors: ['.chapter-item a', '.wp-manga-chapter a'],
+            contentSelector: '.chapter-content'
+        });
+    }
+}
+
+SiteAdapterRegistry.register(new WuxiaWorldAdapter());
+
+// Export for use in other modules
+window.WuxiaWorldAdapter = WuxiaWorldAdapter;
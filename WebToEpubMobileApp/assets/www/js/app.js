@@ -5,12 +5,23 @@
 
 class WebToEpubApp {
     constructor() {
-        this.parser = new Parser();
-        this.epubGenerator = new EpubGenerator();
+        this.transport = new Transport();
+        this.scheduler = new DownloadScheduler();
+        this.cache = new ChapterCache();
+        this.siteRules = new SiteRulesStore();
+        this.contentOptions = new ContentOptions();
+        this.replacements = new ReplacementRulesStore();
+        this.parser = new Parser(this.transport, this.scheduler, this.cache, this.siteRules, this.contentOptions);
+        this.epubGenerator = new EpubGenerator(this.transport, this.contentOptions, this.replacements);
+        this.sessionStore = new SessionStore();
         this.currentMetaInfo = {};
         this.currentChapters = [];
+        this.removedBoilerplate = new Set();
+        this.keptBoilerplate = new Set();
+        this.saveSessionMetaInfo = Utils.debounce(() => this.sessionStore.saveMetaInfo(this.currentMetaInfo), 1000);
 
         this.initializeEventListeners();
+        this.checkForPreviousSession();
     }
 
     /**
@@ -53,6 +64,17 @@ class WebToEpubApp {
             deselectAllButton.addEventListener('click', () => this.deselectAllChapters());
         }
 
+        // Resume session buttons
+        const resumeButton = document.getElementById('resumeSession');
+        if (resumeButton) {
+            resumeButton.addEventListener('click', () => this.resumeSession());
+        }
+
+        const discardButton = document.getElementById('discardSession');
+        if (discardButton) {
+            discardButton.addEventListener('click', () => this.discardSession());
+        }
+
         // Error close button
         const errorCloseButton = document.getElementById('errorClose');
         if (errorCloseButton) {
@@ -67,6 +89,38 @@ class WebToEpubApp {
 
         // Form inputs for metadata
         this.setupFormInputs();
+
+        // Fetch transport settings
+        this.setupTransportInputs();
+
+        // Download scheduler settings
+        this.setupSchedulerInputs();
+
+        // Chapter cache settings and manager
+        this.setupCacheInputs();
+
+        // Site rules editor
+        this.setupSiteRulesEditor();
+
+        // Find and replace rules editor
+        this.setupReplacementEditor();
+
+        // Chapter clean-up options
+        this.setupContentOptionInputs();
+
+        // Repeated text review
+        this.setupBoilerplateReview();
+
+        // Per-chapter actions (delegated, the list is re-rendered)
+        const chaptersList = document.getElementById('chaptersList');
+        if (chaptersList) {
+            chaptersList.addEventListener('click', (event) => {
+                const refreshButton = event.target.closest('.chapter-refresh');
+                if (refreshButton) {
+                    this.refreshChapter(parseInt(refreshButton.dataset.index, 10));
+                }
+            });
+        }
     }
 
     /**
@@ -78,9 +132,873 @@ class WebToEpubApp {
         inputs.forEach(inputId => {
             const input = document.getElementById(inputId);
             if (input) {
-                input.addEventListener('input', () => this.updateMetaInfo());
+                input.addEventListener('input', () => {
+                    this.updateMetaInfo();
+                    this.markFieldEdited(inputId);
+                    this.saveSessionMetaInfo();
+                });
+            }
+        });
+    }
+
+    /**
+     * Setup fetch transport inputs from saved settings
+     */
+    setupTransportInputs() {
+        const settings = this.transport.settings;
+        const fields = {
+            'transportMode': settings.mode,
+            'transportTemplate': settings.proxyTemplate,
+            'transportJsonTemplate': settings.jsonTemplate,
+            'transportJsonField': settings.jsonField,
+            'transportRelayUrl': settings.relayUrl
+        };
+
+        Object.entries(fields).forEach(([fieldId, value]) => {
+            const field = document.getElementById(fieldId);
+            if (field) {
+                field.value = value || '';
+                field.addEventListener('change', () => this.updateTransportSettings());
+            }
+        });
+
+        this.updateTransportFieldVisibility();
+    }
+
+    /**
+     * Update fetch transport from form fields
+     */
+    updateTransportSettings() {
+        const getValue = (fieldId) => {
+            const field = document.getElementById(fieldId);
+            return field ? field.value.trim() : '';
+        };
+
+        this.transport.configure({
+            mode: getValue('transportMode') || 'public',
+            proxyTemplate: getValue('transportTemplate'),
+            jsonTemplate: getValue('transportJsonTemplate'),
+            jsonField: getValue('transportJsonField') || 'contents',
+            relayUrl: getValue('transportRelayUrl')
+        });
+
+        this.updateTransportFieldVisibility();
+    }
+
+    /**
+     * Show only the transport fields relevant to the selected backend
+     */
+    updateTransportFieldVisibility() {
+        const mode = this.transport.settings.mode;
+        const proxyFields = document.getElementById('transportProxyFields');
+        const jsonFields = document.getElementById('transportJsonFields');
+        const relayFields = document.getElementById('transportRelayFields');
+
+        if (proxyFields) {
+            proxyFields.style.display = mode === 'proxy' ? 'block' : 'none';
+        }
+        if (jsonFields) {
+            jsonFields.style.display = mode === 'json' ? 'grid' : 'none';
+        }
+        if (relayFields) {
+            relayFields.style.display = mode === 'relay' ? 'block' : 'none';
+        }
+    }
+
+    /**
+     * Setup download scheduler inputs from saved options
+     */
+    setupSchedulerInputs() {
+        const fields = {
+            'concurrency': 'concurrency',
+            'minInterval': 'minInterval',
+            'requestsPerMinute': 'requestsPerMinute'
+        };
+
+        Object.entries(fields).forEach(([fieldId, option]) => {
+            const field = document.getElementById(fieldId);
+            if (field) {
+                field.value = this.scheduler.options[option];
+                field.addEventListener('change', () => {
+                    this.scheduler.configure({ [option]: field.value });
+                    field.value = this.scheduler.options[option];
+                });
+            }
+        });
+    }
+
+    /**
+     * Setup chapter clean-up option inputs
+     */
+    setupContentOptionInputs() {
+        const chapterOrderSelect = document.getElementById('chapterOrder');
+        if (chapterOrderSelect) {
+            chapterOrderSelect.value = this.contentOptions.settings.chapterOrder;
+            chapterOrderSelect.addEventListener('change', () => this.contentOptions.configure({ chapterOrder: chapterOrderSelect.value }));
+        }
+
+        const volumePagesInput = document.getElementById('volumeTitlePages');
+        if (volumePagesInput) {
+            volumePagesInput.checked = this.contentOptions.settings.volumeTitlePages;
+            volumePagesInput.addEventListener('change', () => this.contentOptions.configure({ volumeTitlePages: volumePagesInput.checked }));
+        }
+
+        const removeNotesInput = document.getElementById('removeAuthorNotes');
+        const noteModeSelect = document.getElementById('authorNoteMode');
+
+        if (removeNotesInput) {
+            removeNotesInput.checked = this.contentOptions.settings.removeAuthorNotes;
+            removeNotesInput.addEventListener('change', () => {
+                this.contentOptions.configure({ removeAuthorNotes: removeNotesInput.checked });
+                if (noteModeSelect) {
+                    noteModeSelect.disabled = !removeNotesInput.checked;
+                }
+            });
+        }
+
+        if (noteModeSelect) {
+            noteModeSelect.value = this.contentOptions.settings.authorNoteMode;
+            noteModeSelect.disabled = !this.contentOptions.settings.removeAuthorNotes;
+            noteModeSelect.addEventListener('change', () => this.contentOptions.configure({ authorNoteMode: noteModeSelect.value }));
+        }
+
+        const removeOriginalInput = document.getElementById('removeOriginal');
+        const bilingualModeSelect = document.getElementById('bilingualMode');
+
+        if (removeOriginalInput) {
+            removeOriginalInput.checked = this.contentOptions.settings.removeOriginal;
+            removeOriginalInput.addEventListener('change', () => {
+                this.contentOptions.configure({ removeOriginal: removeOriginalInput.checked });
+                if (bilingualModeSelect) {
+                    bilingualModeSelect.disabled = !removeOriginalInput.checked;
+                }
+            });
+        }
+
+        if (bilingualModeSelect) {
+            bilingualModeSelect.value = this.contentOptions.settings.bilingualMode;
+            bilingualModeSelect.disabled = !this.contentOptions.settings.removeOriginal;
+            bilingualModeSelect.addEventListener('change', () => this.contentOptions.configure({ bilingualMode: bilingualModeSelect.value }));
+        }
+
+        const removeNumbersInput = document.getElementById('removeChapterNumbers');
+        const titleTemplateInput = document.getElementById('chapterTitleTemplate');
+
+        if (removeNumbersInput) {
+            removeNumbersInput.checked = this.contentOptions.settings.removeChapterNumbers;
+            removeNumbersInput.addEventListener('change', () => {
+                this.contentOptions.configure({ removeChapterNumbers: removeNumbersInput.checked });
+                if (titleTemplateInput) {
+                    titleTemplateInput.disabled = !removeNumbersInput.checked;
+                }
+                this.refreshChapterTitles();
+            });
+        }
+
+        if (titleTemplateInput) {
+            titleTemplateInput.value = this.contentOptions.settings.chapterTitleTemplate;
+            titleTemplateInput.disabled = !this.contentOptions.settings.removeChapterNumbers;
+            titleTemplateInput.addEventListener('input', Utils.debounce(() => {
+                this.contentOptions.configure({ chapterTitleTemplate: titleTemplateInput.value.trim() });
+                this.refreshChapterTitles();
+            }, 500));
+        }
+
+        const typographyInput = document.getElementById('typography');
+        if (typographyInput) {
+            typographyInput.checked = this.contentOptions.settings.typography;
+            typographyInput.addEventListener('change', () => this.contentOptions.configure({ typography: typographyInput.checked }));
+        }
+    }
+
+    /**
+     * Re-apply the chapter title options to the loaded chapters
+     */
+    refreshChapterTitles() {
+        if (this.currentChapters.length === 0) return;
+
+        // Only the labels change, so the user's chapter selection is kept
+        this.currentChapters.forEach((chapter, index) => {
+            chapter.sourceTitle = chapter.sourceTitle || chapter.title;
+            chapter.title = this.contentOptions.formatChapterTitle(chapter.sourceTitle, this.currentMetaInfo.title, index + 1);
+
+            const label = document.querySelector(`label[for="chapter-${index}"]`);
+            if (label) {
+                label.textContent = chapter.title;
+            }
+        });
+    }
+
+    /**
+     * Setup the review of repeated text found across chapters
+     */
+    setupBoilerplateReview() {
+        const removeButton = document.getElementById('removeBoilerplate');
+        if (removeButton) {
+            removeButton.addEventListener('click', () => this.removeBoilerplate());
+        }
+
+        const keepButton = document.getElementById('keepBoilerplate');
+        if (keepButton) {
+            keepButton.addEventListener('click', () => this.removeBoilerplate(true));
+        }
+    }
+
+    /**
+     * Offer repeated lines and watermarks in the downloaded chapters for removal
+     * Lines already removed are stripped from new chapters without asking again
+     */
+    reviewBoilerplate() {
+        this.cleanBoilerplate(this.currentChapters);
+
+        const candidates = BoilerplateDetector.findCandidates(this.currentChapters)
+            .filter(candidate => !this.removedBoilerplate.has(candidate.key) && !this.keptBoilerplate.has(candidate.key));
+        this.boilerplateCandidates = candidates;
+
+        const review = document.getElementById('boilerplateReview');
+        const text = document.getElementById('boilerplateText');
+        const list = document.getElementById('boilerplateCandidates');
+        if (!review || !text || !list) return;
+
+        if (candidates.length === 0) {
+            review.style.display = 'none';
+            return;
+        }
+
+        const total = this.currentChapters.filter(ch => ch.status === 'completed').length;
+        text.textContent = `Found ${candidates.length} lines that look like site boilerplate. Remove the selected lines from all chapters?`;
+        list.innerHTML = candidates.map((candidate, index) => `
+            <label class="boilerplate-candidate">
+                <input type="checkbox" data-index="${index}" checked>
+                <span class="boilerplate-candidate-text">${Utils.escapeHtml(candidate.text)}</span>
+                <span class="boilerplate-candidate-info">${candidate.watermark ? 'watermark, ' : ''}in ${candidate.count} of ${total} chapters</span>
+            </label>
+        `).join('');
+        review.style.display = 'block';
+    }
+
+    /**
+     * Remove the lines selected in the review from all chapters
+     * With keepAll, every line is kept and not offered again
+     */
+    removeBoilerplate(keepAll = false) {
+        const candidates = this.boilerplateCandidates || [];
+        candidates.forEach((candidate, index) => {
+            const checkbox = document.querySelector(`#boilerplateCandidates input[data-index="${index}"]`);
+            const remove = !keepAll && checkbox && checkbox.checked;
+            (remove ? this.removedBoilerplate : this.keptBoilerplate).add(candidate.key);
+        });
+
+        const removed = this.cleanBoilerplate(this.currentChapters);
+        this.boilerplateCandidates = [];
+
+        const review = document.getElementById('boilerplateReview');
+        if (review) {
+            review.style.display = 'none';
+        }
+
+        if (removed > 0) {
+            Utils.showSuccess(`Removed ${removed} repeated lines from the chapters.`);
+        }
+    }
+
+    /**
+     * Strip the lines chosen for removal from chapter content
+     * Returns the number of lines removed
+     */
+    cleanBoilerplate(chapters) {
+        if (this.removedBoilerplate.size === 0) return 0;
+
+        let total = 0;
+        chapters.forEach(chapter => {
+            if (chapter.status !== 'completed' || !chapter.content) return;
+
+            const { content, removed } = BoilerplateDetector.remove(chapter.content, this.removedBoilerplate);
+            if (removed > 0) {
+                chapter.content = content;
+                this.sessionStore.saveChapter(chapter, this.currentChapters.indexOf(chapter));
+                total += removed;
+            }
+        });
+        return total;
+    }
+
+    /**
+     * Setup chapter cache inputs and manager view
+     */
+    setupCacheInputs() {
+        const useCacheInput = document.getElementById('useChapterCache');
+        if (useCacheInput) {
+            useCacheInput.checked = this.cache.settings.enabled;
+            useCacheInput.addEventListener('change', () => this.cache.configure({ enabled: useCacheInput.checked }));
+        }
+
+        const maxAgeInput = document.getElementById('cacheMaxAge');
+        if (maxAgeInput) {
+            maxAgeInput.value = this.cache.settings.maxAgeHours;
+            maxAgeInput.addEventListener('change', () => {
+                const hours = Math.max(0, Number(maxAgeInput.value) || 0);
+                this.cache.configure({ maxAgeHours: hours });
+                maxAgeInput.value = hours;
+            });
+        }
+
+        const manageButton = document.getElementById('manageCache');
+        if (manageButton) {
+            manageButton.addEventListener('click', () => this.toggleCacheManager());
+        }
+
+        const clearButton = document.getElementById('clearCache');
+        if (clearButton) {
+            clearButton.addEventListener('click', async () => {
+                await this.cache.clear();
+                this.renderCacheManager();
+            });
+        }
+
+        const domainsList = document.getElementById('cacheDomains');
+        if (domainsList) {
+            domainsList.addEventListener('click', async (event) => {
+                const purgeButton = event.target.closest('.cache-purge');
+                if (purgeButton) {
+                    await this.cache.purgeDomain(purgeButton.dataset.domain);
+                    this.renderCacheManager();
+                }
+            });
+        }
+    }
+
+    /**
+     * Toggle the cache manager view
+     */
+    toggleCacheManager() {
+        const manager = document.getElementById('cacheManager');
+        if (manager) {
+            const isHidden = manager.style.display === 'none';
+            manager.style.display = isHidden ? 'block' : 'none';
+            if (isHidden) {
+                this.renderCacheManager();
+            }
+        }
+    }
+
+    /**
+     * Render cache usage per domain
+     */
+    async renderCacheManager() {
+        const totalElement = document.getElementById('cacheTotal');
+        const domainsList = document.getElementById('cacheDomains');
+        if (!totalElement || !domainsList) return;
+
+        try {
+            const stats = await this.cache.getStats();
+            const totalSize = stats.reduce((sum, entry) => sum + entry.size, 0);
+            const totalCount = stats.reduce((sum, entry) => sum + entry.count, 0);
+
+            totalElement.textContent = `${totalCount} chapters cached (${Utils.formatFileSize(totalSize)})`;
+            domainsList.innerHTML = stats.map(entry => `
+                <div class="cache-domain-item">
+                    <span class="cache-domain">${Utils.escapeHtml(entry.domain)}</span>
+                    <span class="cache-domain-info">${entry.count} chapters, ${Utils.formatFileSize(entry.size)}</span>
+                    <button class="btn btn-secondary cache-purge" data-domain="${Utils.escapeHtml(entry.domain)}">Purge</button>
+                </div>
+            `).join('');
+        } catch (error) {
+            console.error('Error reading cache:', error);
+            totalElement.textContent = `Cache unavailable: ${error.message}`;
+            domainsList.innerHTML = '';
+        }
+    }
+
+    /**
+     * Setup the site rules editor
+     */
+    setupSiteRulesEditor() {
+        const buttons = {
+            'manageSiteRules': () => this.toggleSiteRulesEditor(),
+            'newSiteRule': () => this.editSiteRule(''),
+            'saveSiteRule': () => this.saveSiteRule(),
+            'deleteSiteRule': () => this.deleteSiteRule(),
+            'exportSiteRules': () => this.exportSiteRules()
+        };
+
+        Object.entries(buttons).forEach(([buttonId, handler]) => {
+            const button = document.getElementById(buttonId);
+            if (button) {
+                button.addEventListener('click', handler);
+            }
+        });
+
+        const domainSelect = document.getElementById('siteRulesDomain');
+        if (domainSelect) {
+            domainSelect.addEventListener('change', () => this.editSiteRule(domainSelect.value));
+        }
+
+        const importInput = document.getElementById('importSiteRules');
+        if (importInput) {
+            importInput.addEventListener('change', () => this.importSiteRules(importInput));
+        }
+    }
+
+    /**
+     * Map of editor field ids to site rule fields
+     */
+    getSiteRuleFieldMap() {
+        return {
+            'ruleTitle': 'titleSelector',
+            'ruleAuthor': 'authorSelector',
+            'ruleChapters': 'chapterSelectors',
+            'ruleContent': 'contentSelector',
+            'ruleCover': 'coverSelector',
+            'ruleDescription': 'descriptionSelector',
+            'ruleRemove': 'removeSelectors',
+            'ruleAuthorNotes': 'authorNoteSelectors',
+            'ruleChapterTitle': 'chapterTitleSelector',
+            'ruleTocPager': 'tocPagerSelector',
+            'ruleVolume': 'volumeSelector',
+            'ruleNextChapter': 'nextChapterSelector',
+            'ruleChapterPart': 'chapterPartSelector',
+            'ruleStoryPattern': 'storyUrlPattern'
+        };
+    }
+
+    /**
+     * Toggle the site rules editor
+     */
+    toggleSiteRulesEditor() {
+        const editor = document.getElementById('siteRulesEditor');
+        if (editor) {
+            const isHidden = editor.style.display === 'none';
+            editor.style.display = isHidden ? 'block' : 'none';
+            if (isHidden) {
+                this.renderSiteRuleDomains();
+                this.editSiteRule(this.siteRules.getDomains()[0] || '');
+            }
+        }
+    }
+
+    /**
+     * Fill the domain selector with user and built-in rules
+     */
+    renderSiteRuleDomains(selectedDomain = '') {
+        const domainSelect = document.getElementById('siteRulesDomain');
+        if (!domainSelect) return;
+
+        const userDomains = this.siteRules.getDomains();
+        const builtInDomains = SiteAdapterRegistry.getAll()
+            .reduce((domains, adapter) => domains.concat(adapter.domains), [])
+            .filter(domain => !userDomains.includes(domain))
+            .sort();
+
+        domainSelect.innerHTML = '';
+        [
+            new Option('New site...', ''),
+            ...userDomains.map(domain => new Option(domain, domain)),
+            ...builtInDomains.map(domain => new Option(`${domain} (built-in)`, domain))
+        ].forEach(option => domainSelect.appendChild(option));
+        domainSelect.value = selectedDomain;
+    }
+
+    /**
+     * Load a domain's rules into the editor form
+     * Built-in rules are shown as a starting point for a user override
+     */
+    editSiteRule(domain) {
+        const rules = (domain && (this.siteRules.getRules(domain) || this.parser.getBuiltInRules(domain))) || {};
+
+        const domainInput = document.getElementById('ruleDomain');
+        if (domainInput) {
+            domainInput.value = domain;
+        }
+
+        const domainSelect = document.getElementById('siteRulesDomain');
+        if (domainSelect) {
+            domainSelect.value = domain;
+        }
+
+        Object.entries(this.getSiteRuleFieldMap()).forEach(([fieldId, ruleField]) => {
+            const field = document.getElementById(fieldId);
+            if (field) {
+                const value = rules[ruleField];
+                field.value = Array.isArray(value) ? value.join('\n') : (value || '');
+            }
+        });
+    }
+
+    /**
+     * Save the editor form as user rules
+     */
+    saveSiteRule() {
+        const domainInput = document.getElementById('ruleDomain');
+        const rules = {};
+
+        Object.entries(this.getSiteRuleFieldMap()).forEach(([fieldId, ruleField]) => {
+            const field = document.getElementById(fieldId);
+            if (field) {
+                rules[ruleField] = field.value;
+            }
+        });
+
+        try {
+            const domain = this.siteRules.setRules(domainInput ? domainInput.value : '', rules);
+            this.renderSiteRuleDomains(domain);
+            this.editSiteRule(domain);
+            Utils.showSuccess(`Saved site rules for ${domain}`);
+        } catch (error) {
+            Utils.showError('Failed to save site rules: ' + error.message);
+        }
+    }
+
+    /**
+     * Delete the user rules for the domain in the editor
+     */
+    deleteSiteRule() {
+        const domainInput = document.getElementById('ruleDomain');
+        const domain = domainInput ? domainInput.value.trim() : '';
+        if (!domain || !this.siteRules.getRules(domain)) return;
+
+        this.siteRules.deleteRules(domain);
+        this.renderSiteRuleDomains();
+        this.editSiteRule('');
+        Utils.showSuccess(`Deleted site rules for ${domain}`);
+    }
+
+    /**
+     * Download all user rules as a JSON rule pack
+     */
+    exportSiteRules() {
+        Utils.downloadFile(this.siteRules.exportJson(), 'webtoepub-site-rules.json', 'application/json');
+    }
+
+    /**
+     * Import a JSON rule pack from a file input
+     */
+    async importSiteRules(input) {
+        const file = input.files && input.files[0];
+        if (!file) return;
+
+        try {
+            const count = this.siteRules.importJson(await file.text());
+            this.renderSiteRuleDomains();
+            this.editSiteRule(this.siteRules.getDomains()[0] || '');
+            Utils.showSuccess(`Imported site rules for ${count} site(s)`);
+        } catch (error) {
+            Utils.showError('Failed to import site rules: ' + error.message);
+        } finally {
+            input.value = '';
+        }
+    }
+
+    /**
+     * Setup the find and replace rules editor
+     */
+    setupReplacementEditor() {
+        const buttons = {
+            'manageReplacements': () => this.toggleReplacementEditor(),
+            'newReplacement': () => this.editReplacementRule(-1),
+            'saveReplacement': () => this.saveReplacementRule(),
+            'deleteReplacement': () => this.deleteReplacementRule(),
+            'moveReplacementUp': () => this.moveReplacementRule(-1),
+            'moveReplacementDown': () => this.moveReplacementRule(1),
+            'previewReplacements': () => this.previewReplacements()
+        };
+
+        Object.entries(buttons).forEach(([buttonId, handler]) => {
+            const button = document.getElementById(buttonId);
+            if (button) {
+                button.addEventListener('click', handler);
+            }
+        });
+
+        const ruleSelect = document.getElementById('replacementRule');
+        if (ruleSelect) {
+            ruleSelect.addEventListener('change', () => this.editReplacementRule(parseInt(ruleSelect.value, 10)));
+        }
+    }
+
+    /**
+     * Toggle the find and replace rules editor
+     */
+    toggleReplacementEditor() {
+        const editor = document.getElementById('replacementsEditor');
+        if (editor) {
+            const isHidden = editor.style.display === 'none';
+            editor.style.display = isHidden ? 'block' : 'none';
+            if (isHidden) {
+                this.renderReplacementRules();
+                this.editReplacementRule(this.replacements.getRules().length > 0 ? 0 : -1);
+            }
+        }
+    }
+
+    /**
+     * Fill the rule selector with the rules in the order they are applied
+     */
+    renderReplacementRules(selectedIndex = -1) {
+        const ruleSelect = document.getElementById('replacementRule');
+        if (!ruleSelect) return;
+
+        ruleSelect.innerHTML = [
+            '<option value="-1">New rule...</option>',
+            ...this.replacements.getRules().map((rule, index) => {
+                const label = `${index + 1}. ${rule.find} → ${rule.replace}${rule.enabled ? '' : ' (disabled)'}`;
+                return `<option value="${index}">${Utils.escapeHtml(label)}</option>`;
+            })
+        ].join('');
+        ruleSelect.value = String(selectedIndex);
+    }
+
+    /**
+     * Load a rule into the editor form, or clear the form for a new rule (-1)
+     */
+    editReplacementRule(index) {
+        const rule = this.replacements.getRules()[index] || ReplacementRulesStore.normalizeRule({});
+        this.editingReplacement = this.replacements.getRules()[index] ? index : -1;
+
+        const ruleSelect = document.getElementById('replacementRule');
+        if (ruleSelect) {
+            ruleSelect.value = String(this.editingReplacement);
+        }
+
+        Object.entries(this.getReplacementFieldMap()).forEach(([fieldId, ruleField]) => {
+            const field = document.getElementById(fieldId);
+            if (!field) return;
+            if (field.type === 'checkbox') {
+                field.checked = rule[ruleField];
+            } else {
+                field.value = rule[ruleField];
+            }
+        });
+    }
+
+    /**
+     * Map of editor field ids to replacement rule fields
+     */
+    getReplacementFieldMap() {
+        return {
+            'replacementFind': 'find',
+            'replacementReplace': 'replace',
+            'replacementScope': 'scope',
+            'replacementSite': 'site',
+            'replacementNovel': 'novel',
+            'replacementRegex': 'regex',
+            'replacementCase': 'caseSensitive',
+            'replacementWholeWord': 'wholeWord',
+            'replacementEnabled': 'enabled'
+        };
+    }
+
+    /**
+     * Save the editor form as a new rule or over the rule being edited
+     */
+    saveReplacementRule() {
+        const rule = {};
+        Object.entries(this.getReplacementFieldMap()).forEach(([fieldId, ruleField]) => {
+            const field = document.getElementById(fieldId);
+            if (field) {
+                rule[ruleField] = field.type === 'checkbox' ? field.checked : field.value;
             }
         });
+
+        try {
+            const index = this.replacements.setRule(this.editingReplacement, rule);
+            this.renderReplacementRules(index);
+            this.editReplacementRule(index);
+            Utils.showSuccess(`Saved find and replace rule ${index + 1}`);
+        } catch (error) {
+            Utils.showError('Failed to save rule: ' + error.message);
+        }
+    }
+
+    /**
+     * Delete the rule in the editor
+     */
+    deleteReplacementRule() {
+        if (this.editingReplacement < 0) return;
+
+        this.replacements.deleteRule(this.editingReplacement);
+        const index = Math.min(this.editingReplacement, this.replacements.getRules().length - 1);
+        this.renderReplacementRules(index);
+        this.editReplacementRule(index);
+    }
+
+    /**
+     * Move the rule in the editor earlier (-1) or later (+1) in the order
+     */
+    moveReplacementRule(offset) {
+        if (this.editingReplacement < 0) return;
+
+        const index = this.replacements.moveRule(this.editingReplacement, offset);
+        this.renderReplacementRules(index);
+        this.editReplacementRule(index);
+    }
+
+    /**
+     * Show how often the saved rules match in each downloaded chapter
+     */
+    previewReplacements() {
+        const previewElement = document.getElementById('replacementPreview');
+        if (!previewElement) return;
+
+        this.updateMetaInfo();
+        const rows = this.replacements.preview(this.currentChapters, this.currentMetaInfo.title);
+        if (rows.length === 0) {
+            previewElement.innerHTML = '<div class="replacement-preview-summary">Download chapters to preview the rules.</div>';
+            return;
+        }
+
+        const matching = rows.filter(row => row.total > 0);
+        const total = matching.reduce((sum, row) => sum + row.total, 0);
+
+        previewElement.innerHTML = `
+            <div class="replacement-preview-summary">${total} matches in ${matching.length} of ${rows.length} chapters</div>
+            ${matching.map(row => `
+                <div class="replacement-preview-item">
+                    <span class="replacement-preview-title">${Utils.escapeHtml(row.title)}</span>
+                    <span class="replacement-preview-count">${row.counts
+                        .map((count, index) => (count > 0 ? `rule ${index + 1}: ${count}` : ''))
+                        .filter(Boolean)
+                        .join(', ')}</span>
+                </div>
+            `).join('')}
+        `;
+    }
+
+    /**
+     * Re-download a single chapter, bypassing the cache
+     */
+    async refreshChapter(index) {
+        const chapter = this.currentChapters[index];
+        if (!chapter || chapter.status === 'loading') return;
+
+        chapter.forceRefresh = true;
+        try {
+            await this.parser.fetchChapterContent(chapter, index);
+            this.cleanBoilerplate([chapter]);
+
+            const checkbox = document.getElementById(`chapter-${index}`);
+            if (checkbox) {
+                checkbox.checked = true;
+            }
+        } catch (error) {
+            console.error(`Error refreshing chapter ${index + 1}:`, error);
+        }
+
+        this.sessionStore.saveChapter(chapter, index);
+
+        this.updateChapterCount();
+
+        const packButton = document.getElementById('packEpub');
+        if (packButton) {
+            packButton.disabled = !this.currentChapters.some(ch => ch.status === 'completed');
+        }
+    }
+
+    /**
+     * Offer to resume a session left over from a previous page load
+     */
+    async checkForPreviousSession() {
+        const session = await this.sessionStore.load();
+        const resumeSection = document.getElementById('resumeSection');
+        const resumeText = document.getElementById('resumeText');
+        if (!session || !resumeSection || !resumeText) return;
+
+        const completedCount = session.chapters.filter(ch => ch.status === 'completed').length;
+        const title = (session.metaInfo && session.metaInfo.title) || session.url;
+
+        resumeText.textContent = `Previous session found: "${title}" (${completedCount} of ${session.chapters.length} chapters downloaded)`;
+        resumeSection.style.display = 'flex';
+    }
+
+    /**
+     * Hide the resume session prompt
+     */
+    hideResumePrompt() {
+        const resumeSection = document.getElementById('resumeSection');
+        if (resumeSection) {
+            resumeSection.style.display = 'none';
+        }
+    }
+
+    /**
+     * Restore the previous session and download the chapters still missing
+     */
+    async resumeSession() {
+        this.hideResumePrompt();
+
+        const session = await this.sessionStore.load();
+        if (!session) {
+            Utils.showError('The previous session could not be loaded.');
+            return;
+        }
+
+        const urlInput = document.getElementById('startingUrl');
+        if (urlInput) {
+            urlInput.value = session.url;
+        }
+
+        if (session.mode === 'next') {
+            const chapters = session.chapters.map(chapter => Object.assign({}, chapter));
+            const modeSelect = document.getElementById('crawlMode');
+            if (modeSelect) {
+                modeSelect.value = 'next';
+            }
+
+            this.parser.metaInfo = session.metaInfo || this.parser.metaInfo;
+            this.parser.chapters = chapters;
+            this.updateUIWithResults({ metaInfo: this.parser.metaInfo, chapters });
+
+            try {
+                // Retry the crawled chapters that failed, then continue after the last one
+                const errored = chapters
+                    .map((chapter, index) => (chapter.status === 'error' ? index : -1))
+                    .filter(index => index >= 0);
+                if (errored.length > 0) {
+                    console.log(`Retrying ${errored.length} chapters that failed before`);
+                    await this.fetchAllChapters(errored);
+                }
+
+                await this.crawlFromChapter(session.url, chapters);
+            } catch (error) {
+                console.error('Error resuming crawl:', error);
+                Utils.showError('Failed to resume crawl: ' + error.message);
+            }
+            return;
+        }
+
+        const chapters = session.chapters.map(chapter => Object.assign({}, chapter, {
+            status: chapter.status === 'completed' ? 'completed' : 'pending',
+            error: chapter.status === 'completed' ? null : chapter.error
+        }));
+
+        // The parser updates chapter rows through its own chapter list
+        this.parser.metaInfo = session.metaInfo || this.parser.metaInfo;
+        this.parser.chapters = chapters;
+        this.updateUIWithResults({ metaInfo: this.parser.metaInfo, chapters });
+
+        const remaining = chapters
+            .map((chapter, index) => (chapter.status === 'completed' ? -1 : index))
+            .filter(index => index >= 0);
+
+        if (remaining.length === 0) {
+            const packButton = document.getElementById('packEpub');
+            if (packButton) {
+                packButton.disabled = false;
+            }
+            Utils.showSuccess(`Session restored with all ${chapters.length} chapters.`);
+            return;
+        }
+
+        console.log(`Resuming session with ${remaining.length} chapters left`);
+        await this.fetchAllChapters(remaining);
+    }
+
+    /**
+     * Discard the previous session
+     */
+    async discardSession() {
+        this.hideResumePrompt();
+        await this.sessionStore.clear();
     }
 
     /**
@@ -102,14 +1020,24 @@ class WebToEpubApp {
 
         try {
             Utils.hideError();
+            this.hideResumePrompt();
             console.log('Starting to parse URL:', url);
 
             // Reset UI
             this.currentChapters = [];
             this.currentMetaInfo = {};
+            this.removedBoilerplate.clear();
+            this.keptBoilerplate.clear();
+            this.reviewBoilerplate();
             this.updateChaptersSection([]);
             Utils.updateProgress(0, '');
 
+            // Chapter pages are crawled by following their "next" links
+            if (this.getCrawlMode() === 'next') {
+                await this.crawlFromChapter(url);
+                return;
+            }
+
             // Parse the page
             console.log('Calling parser.parsePage...');
             const result = await this.parser.parsePage(url);
@@ -127,6 +1055,9 @@ class WebToEpubApp {
             console.log('Updating UI with results...');
             this.updateUIWithResults(result);
 
+            // Persist the session so it can be resumed after a reload
+            await this.sessionStore.start(url, result.metaInfo, result.chapters);
+
             // Fetch chapter content
             console.log('Starting to fetch chapters...');
             await this.fetchAllChapters();
@@ -140,17 +1071,21 @@ class WebToEpubApp {
             let errorMessage = 'Failed to parse page: ';
 
             if (error.message.includes('Failed to fetch')) {
+                const unavailable = this.transport.settings.mode === 'relay'
+                    ? '\n3. The relay server is not running or does not allow this domain or this page\'s origin'
+                    : '\n3. The CORS proxy is temporarily unavailable (consider running server/relay.js)';
                 errorMessage += 'Could not access the webpage. This might be due to:' +
                     '\n1. The website is blocking access' +
                     '\n2. The website requires authentication' +
-                    '\n3. The CORS proxy is temporarily unavailable' +
+                    unavailable +
                     '\nPlease try again later or try a different URL.';
             } else if (error.message.includes('No chapters found')) {
                 errorMessage += 'Could not find any chapters. This might be because:' +
                     '\n1. The URL is not a novel page' +
                     '\n2. The website structure is not supported' +
                     '\n3. The URL points to a chapter list rather than the main novel page' +
-                    '\nPlease make sure you are using the main novel page URL.';
+                    '\nPlease make sure you are using the main novel page URL, or set' +
+                    '\n"Starting page is" to "First chapter" to follow next-chapter links.';
             } else {
                 errorMessage += error.message;
             }
@@ -207,6 +1142,44 @@ class WebToEpubApp {
                 this.showCoverPreview(metaInfo.coverImageUrl);
             }
         }
+
+        this.updateFieldSources(metaInfo.sources);
+    }
+
+    /**
+     * Show which source each metadata field was filled from next to its label
+     */
+    updateFieldSources(sources = {}) {
+        ['title', 'author', 'language', 'subject', 'description', 'coverImageUrl'].forEach(fieldId => {
+            const label = document.querySelector(`label[for="${fieldId}"]`);
+            if (!label) return;
+
+            let badge = label.querySelector('.field-source');
+            const source = sources && sources[fieldId];
+            if (!source) {
+                if (badge) badge.remove();
+                return;
+            }
+
+            if (!badge) {
+                badge = document.createElement('span');
+                badge.className = 'field-source';
+                label.appendChild(badge);
+            }
+            badge.textContent = MetadataExtractor.SOURCE_LABELS[source] || source;
+            badge.dataset.source = source;
+        });
+    }
+
+    /**
+     * Record that the user changed a field, so later detection leaves it alone
+     */
+    markFieldEdited(fieldId) {
+        const sources = this.currentMetaInfo.sources || (this.currentMetaInfo.sources = {});
+        if (sources[fieldId] !== 'edited') {
+            sources[fieldId] = 'edited';
+            this.updateFieldSources(sources);
+        }
     }
 
     /**
@@ -219,19 +1192,109 @@ class WebToEpubApp {
         chaptersList.innerHTML = '';
 
         chapters.forEach((chapter, index) => {
-            const chapterItem = document.createElement('div');
-            chapterItem.className = 'chapter-item';
+            chaptersList.appendChild(this.createChapterItem(chapter, index));
+        });
+
+        this.updateChapterCount();
+    }
+
+    /**
+     * Create the list row for a chapter
+     */
+    createChapterItem(chapter, index) {
+        const chapterItem = document.createElement('div');
+        chapterItem.className = 'chapter-item';
+
+        const lowConfidence = chapter.status === 'completed' && chapter.confidence < ContentExtractor.LOW_CONFIDENCE;
+        let statusText = chapter.status;
+        if (chapter.status === 'error') {
+            statusText = `Error: ${chapter.error || 'Unknown error'}`;
+        } else if (lowConfidence) {
+            statusText = `completed (low confidence ${Math.round(chapter.confidence * 100)}%)`;
+        }
+
+        chapterItem.innerHTML = `
+            <input type="checkbox" id="chapter-${index}" ${chapter.status === 'error' ? '' : 'checked'}>
+            <label for="chapter-${index}" class="chapter-title">${Utils.escapeHtml(chapter.title)}</label>
+            <span class="chapter-status ${chapter.status}${lowConfidence ? ' low-confidence' : ''}">${Utils.escapeHtml(statusText)}</span>
+            <button class="chapter-refresh" data-index="${index}" title="Force refresh (ignore cache)">
+                <i class="fas fa-sync-alt"></i>
+            </button>
+        `;
 
-            chapterItem.innerHTML = `
-                <input type="checkbox" id="chapter-${index}" checked>
-                <label for="chapter-${index}" class="chapter-title">${Utils.escapeHtml(chapter.title)}</label>
-                <span class="chapter-status ${chapter.status}">${chapter.status}</span>
-            `;
+        return chapterItem;
+    }
 
-            chaptersList.appendChild(chapterItem);
+    /**
+     * Get the selected crawl mode ("toc" or "next")
+     */
+    getCrawlMode() {
+        const modeSelect = document.getElementById('crawlMode');
+        return modeSelect ? modeSelect.value : 'toc';
+    }
+
+    /**
+     * Crawl chapters by following next-chapter links from a chapter page
+     * Pass resumeFrom with chapters of a saved session to continue after them
+     */
+    async crawlFromChapter(url, resumeFrom = null) {
+        const maxInput = document.getElementById('maxChapters');
+        const patternInput = document.getElementById('storyUrlPattern');
+        const maxChapters = Math.max(1, parseInt(maxInput && maxInput.value, 10) || 500);
+        const storyUrlPattern = patternInput ? patternInput.value.trim() : '';
+
+        const chaptersSection = document.getElementById('chaptersSection');
+        if (chaptersSection) {
+            chaptersSection.style.display = 'block';
+        }
+
+        if (!resumeFrom) {
+            await this.sessionStore.start(url, {}, [], 'next');
+        }
+
+        Utils.updateProgress(0, 'Crawling chapters...');
+
+        const result = await this.parser.crawlChapters(url, { maxChapters, storyUrlPattern, resumeFrom }, (chapter, index) => {
+            this.currentChapters = this.parser.chapters;
+
+            if (index === 0 && !resumeFrom) {
+                this.currentMetaInfo = this.parser.metaInfo;
+                this.updateFormFields(this.parser.metaInfo);
+                this.sessionStore.saveMetaInfo(this.parser.metaInfo);
+            }
+
+            const chaptersList = document.getElementById('chaptersList');
+            if (chaptersList) {
+                chaptersList.appendChild(this.createChapterItem(chapter, index));
+            }
+
+            this.sessionStore.saveChapter(chapter, index);
+            this.updateChapterCount();
+            Utils.updateProgress(((index + 1) / maxChapters) * 100, `Crawled ${index + 1} chapters: ${chapter.title}`);
         });
 
+        this.currentChapters = result.chapters;
         this.updateChapterCount();
+        this.applyDetectedLanguage();
+        this.reviewBoilerplate();
+
+        Utils.updateProgress(100, 'Crawl complete');
+        setTimeout(() => Utils.hideProgress(), 2000);
+
+        const completedCount = result.chapters.filter(ch => ch.status === 'completed').length;
+        const errorCount = result.chapters.length - completedCount;
+        const summary = `Crawled ${result.chapters.length} chapters (stopped: ${result.stopReason}).`;
+
+        if (errorCount > 0) {
+            Utils.showError(`${summary} ${errorCount} chapters could not be extracted.`);
+        } else {
+            Utils.showSuccess(summary);
+        }
+
+        const packButton = document.getElementById('packEpub');
+        if (packButton) {
+            packButton.disabled = completedCount === 0;
+        }
     }
 
     /**
@@ -248,26 +1311,37 @@ class WebToEpubApp {
 
     /**
      * Fetch all chapter content
+     * Pass chapter indices to fetch only those chapters (e.g. when resuming)
      */
-    async fetchAllChapters() {
+    async fetchAllChapters(indices = null) {
         const chapters = this.currentChapters;
+        const pending = indices || chapters.map((chapter, index) => index);
         let successCount = 0;
         let errorCount = 0;
 
-        console.log(`Starting to fetch ${chapters.length} chapters...`);
+        console.log(`Starting to fetch ${pending.length} chapters...`);
+        Utils.updateProgress(0, `Fetching chapter 0/${pending.length}`);
+
+        // Chapters keep their position in the list; only completion order varies
+        await this.scheduler.runAll(
+            pending,
+            (index) => this.parser.fetchChapterContent(chapters[index], index),
+            (result, position, doneCount) => {
+                const index = pending[position];
+                if (result.status === 'fulfilled') {
+                    successCount++;
+                } else {
+                    console.error(`Error fetching chapter ${index + 1}:`, result.reason);
+                    errorCount++;
+                }
 
-        for (let i = 0; i < chapters.length; i++) {
-            try {
-                const progress = ((i + 1) / chapters.length) * 100;
-                Utils.updateProgress(progress, `Fetching chapter ${i + 1}/${chapters.length}`);
-                console.log(`Fetching chapter ${i + 1}/${chapters.length}:`, chapters[i].url);
-                await this.parser.fetchChapterContent(chapters[i], i);
-                successCount++;
-            } catch (error) {
-                console.error(`Error fetching chapter ${i + 1}:`, error);
-                errorCount++;
+                this.sessionStore.saveChapter(chapters[index], index);
+
+                const progress = (doneCount / pending.length) * 100;
+                Utils.updateProgress(progress, `Fetched ${doneCount}/${pending.length} chapters`);
+                this.updateChapterCount();
             }
-        }
+        );
 
         // Update progress bar to show completion
         Utils.updateProgress(100, 'All chapters fetched');
@@ -279,13 +1353,30 @@ class WebToEpubApp {
             Utils.showSuccess(`Successfully fetched all ${successCount} chapters.`);
         }
 
+        this.applyDetectedLanguage();
+        this.reviewBoilerplate();
+
         // Enable pack button if we have any successful chapters
         const packButton = document.getElementById('packEpub');
         if (packButton) {
-            packButton.disabled = successCount === 0;
+            packButton.disabled = !chapters.some(ch => ch.status === 'completed');
         }
     }
 
+    /**
+     * Prefill the language field from the downloaded chapter text
+     */
+    applyDetectedLanguage() {
+        if (!this.parser.detectLanguage(this.currentMetaInfo, this.currentChapters)) return;
+
+        const languageInput = document.getElementById('language');
+        if (languageInput) {
+            languageInput.value = this.currentMetaInfo.language;
+        }
+        this.updateFieldSources(this.currentMetaInfo.sources);
+        this.saveSessionMetaInfo();
+    }
+
     /**
      * Handle pack EPUB button click
      */
@@ -312,6 +1403,9 @@ class WebToEpubApp {
                 }
             );
 
+            // The book has been built, so the saved session is no longer needed
+            await this.sessionStore.clear();
+
             // Generate filename
             const filename = Utils.sanitizeFilename(this.currentMetaInfo.filename || 'untitled');
             const fullFilename = filename.endsWith('.epub') ? filename : `${filename}.epub`;
@@ -392,6 +1486,7 @@ class WebToEpubApp {
     handleCoverImageChange() {
         const coverInput = document.getElementById('coverImageUrl');
         const url = coverInput.value.trim();
+        this.markFieldEdited('coverImageUrl');
 
         if (url && Utils.isValidUrl(url)) {
             this.showCoverPreview(url);
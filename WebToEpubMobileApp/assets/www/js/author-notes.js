@@ -0,0 +1,114 @@
+/**
+ * Author notes module for WebToEpub web application
+ * Finds author and translator notes in a chapter so they can be removed or set aside
+ */
+
+class AuthorNotes {
+    /**
+     * Take the notes out of a chapter's content element
+     * With mode "aside" the notes are appended to the content in a collapsed aside;
+     * with any other mode they are dropped. Returns the number of notes found.
+     */
+    static apply(dom, contentElement, siteRules, mode) {
+        const notes = AuthorNotes.collect(dom, contentElement, siteRules);
+        if (notes.length === 0) return 0;
+
+        notes.forEach(note => note.remove());
+
+        if (mode === 'aside') {
+            const aside = dom.createElement('aside');
+            aside.className = 'author-notes';
+            const details = dom.createElement('details');
+            const summary = dom.createElement('summary');
+            summary.textContent = 'Author\'s notes';
+            details.appendChild(summary);
+            notes.forEach(note => details.appendChild(note));
+            aside.appendChild(details);
+            contentElement.appendChild(aside);
+        }
+
+        return notes.length;
+    }
+
+    /**
+     * Find note elements by selector and note paragraphs at either end of the chapter
+     * Selector matches outside the content element are included, as some sites
+     * render their notes next to the chapter text rather than inside it
+     */
+    static collect(dom, contentElement, siteRules) {
+        const notes = [];
+        const seenText = new Set();
+        const selectors = AuthorNotes.DEFAULT_SELECTORS.concat(siteRules.authorNoteSelectors || []);
+
+        const addNote = (element) => {
+            if (element.contains(contentElement) || notes.some(note => note.contains(element))) return;
+            const text = Utils.cleanText(element.textContent);
+            if (!text || seenText.has(text)) return;
+
+            // Drop notes nested in this one, they are carried along with it
+            for (let i = notes.length - 1; i >= 0; i--) {
+                if (element.contains(notes[i])) notes.splice(i, 1);
+            }
+            seenText.add(text);
+            notes.push(element);
+        };
+
+        selectors.forEach(selector => {
+            try {
+                contentElement.querySelectorAll(selector).forEach(addNote);
+                dom.querySelectorAll(selector).forEach(addNote);
+            } catch (e) {
+                console.warn('Invalid author note selector:', selector, e);
+            }
+        });
+
+        AuthorNotes.findEdgeNotes(contentElement, notes).forEach(addNote);
+        return notes;
+    }
+
+    /**
+     * Find "A/N:" style paragraphs at the start or end of the chapter
+     * A note near the end takes everything after it along, since sign-offs
+     * usually run over a few paragraphs
+     */
+    static findEdgeNotes(contentElement, excluded) {
+        const blocks = Array.from(contentElement.children).filter(block =>
+            !excluded.includes(block) && /^(P|DIV|BLOCKQUOTE)$/.test(block.tagName)
+        );
+        const found = [];
+
+        let start = 0;
+        while (start < blocks.length && AuthorNotes.isNoteParagraph(blocks[start])) {
+            found.push(blocks[start]);
+            start++;
+        }
+
+        for (let i = Math.max(start, blocks.length - AuthorNotes.TRAILING_BLOCKS); i < blocks.length; i++) {
+            if (AuthorNotes.isNoteParagraph(blocks[i])) {
+                found.push(...blocks.slice(i));
+                break;
+            }
+        }
+
+        // Never take the whole chapter
+        return found.length < blocks.length ? found : [];
+    }
+
+    /**
+     * Check whether a block starts with a note marker
+     */
+    static isNoteParagraph(element) {
+        return AuthorNotes.NOTE_PATTERN.test(Utils.cleanText(element.textContent));
+    }
+}
+
+AuthorNotes.DEFAULT_SELECTORS = ['.author-note', '.author-note-portlet', '.authors-note', '.translator-note'];
+
+// "A/N:", "TL Note -", "Translator's notes:", "[T/N: ...]" and similar
+AuthorNotes.NOTE_PATTERN = /^[[(]?\s*(?:A\/N|T\/N|E\/N|TL\s*notes?|TLN|TN|Author'?s?\s+notes?|Translator'?s?\s+notes?|Editor'?s?\s+notes?)\s*[:：\-–—]/i;
+
+// How many blocks from the end a closing note may start
+AuthorNotes.TRAILING_BLOCKS = 3;
+
+// Export for use in other modules
+window.AuthorNotes = AuthorNotes;
@@ -0,0 +1,150 @@
+/**
+ * Bilingual text module for WebToEpub web application
+ * Detects chapters that interleave original and translated paragraphs by writing script
+ */
+
+class BilingualText {
+    /**
+     * Get the main writing script of a text: "cjk", "korean", "cyrillic", "latin" or null
+     */
+    static getScript(text) {
+        const counts = {};
+        Object.entries(BilingualText.SCRIPT_PATTERNS).forEach(([script, pattern]) => {
+            counts[script] = (text.match(pattern) || []).length;
+        });
+
+        // One CJK or Hangul character carries about as much as a short Latin word
+        counts.cjk *= 2;
+        counts.korean *= 2;
+
+        const [script, count] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+        return count >= BilingualText.MIN_LETTERS ? script : null;
+    }
+
+    /**
+     * Work out which script is the original and which the translation
+     * Returns { original, translation, alternating } or null if the blocks are not bilingual
+     */
+    static detect(blocks, language) {
+        const scripts = blocks.map(block => BilingualText.getScript(block.textContent));
+        const counts = {};
+        scripts.filter(Boolean).forEach(script => {
+            counts[script] = (counts[script] || 0) + 1;
+        });
+
+        const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+        const present = Object.keys(counts).filter(script =>
+            counts[script] >= 2 && counts[script] / total >= BilingualText.MIN_SHARE
+        );
+        if (present.length < 2) return null;
+
+        // The translation is in the book's language when we can tell, otherwise the more Western script
+        const languageScript = BilingualText.getLanguageScript(language);
+        const ranked = BilingualText.TRANSLATION_PREFERENCE.filter(script => present.includes(script));
+        const translation = present.includes(languageScript) ? languageScript : ranked[0];
+        const original = ranked.find(script => script !== translation);
+
+        // Count how often consecutive text blocks switch between the two scripts
+        const sequence = scripts.filter(script => script === original || script === translation);
+        let switches = 0;
+        for (let i = 1; i < sequence.length; i++) {
+            if (sequence[i] !== sequence[i - 1]) switches++;
+        }
+        const alternating = switches / (sequence.length - 1) >= BilingualText.MIN_ALTERNATION;
+
+        return { original, translation, alternating };
+    }
+
+    /**
+     * Apply a bilingual mode to the top-level blocks of a content element
+     * Modes: "translation" and "original" drop the other language, "both" pairs
+     * each original paragraph with its translation for side-by-side display
+     */
+    static apply(content, mode, language) {
+        // Look through single wrapper elements to reach the paragraphs
+        while (content.children.length === 1 && /^(DIV|SECTION|ARTICLE)$/.test(content.firstElementChild.tagName)) {
+            content = content.firstElementChild;
+        }
+
+        const blocks = Array.from(content.children).filter(block => /^(P|DIV|BLOCKQUOTE|H[1-6])$/.test(block.tagName));
+        const detected = BilingualText.detect(blocks, language);
+        if (!detected) return false;
+
+        const { original, translation, alternating } = detected;
+
+        if (mode === 'translation' || mode === 'original') {
+            const drop = mode === 'translation' ? original : translation;
+            blocks.forEach(block => {
+                if (BilingualText.getScript(block.textContent) === drop) {
+                    block.remove();
+                }
+            });
+            return true;
+        }
+
+        if (mode === 'both' && alternating) {
+            for (let i = 0; i < blocks.length - 1; i++) {
+                const first = BilingualText.getScript(blocks[i].textContent);
+                const second = BilingualText.getScript(blocks[i + 1].textContent);
+                if (first && second && first !== second &&
+                    [first, second].includes(original) && [first, second].includes(translation)) {
+                    const [originalBlock, translationBlock] = first === original
+                        ? [blocks[i], blocks[i + 1]]
+                        : [blocks[i + 1], blocks[i]];
+                    BilingualText.pairBlocks(content, originalBlock, translationBlock, blocks[i]);
+                    i++;
+                }
+            }
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Wrap an original block and its translation in a side-by-side pair
+     */
+    static pairBlocks(content, originalBlock, translationBlock, position) {
+        const pair = content.ownerDocument.createElement('div');
+        pair.className = 'bilingual-pair';
+        content.insertBefore(pair, position);
+
+        originalBlock.classList.add('original');
+        translationBlock.classList.add('translation');
+        pair.appendChild(originalBlock);
+        pair.appendChild(translationBlock);
+    }
+
+    /**
+     * Map a language tag to the script it is written in
+     */
+    static getLanguageScript(language) {
+        const primary = String(language || '').toLowerCase().split('-')[0];
+        if (['zh', 'ja'].includes(primary)) return 'cjk';
+        if (primary === 'ko') return 'korean';
+        if (['ru', 'uk', 'be', 'bg', 'sr', 'mk', 'kk'].includes(primary)) return 'cyrillic';
+        return primary ? 'latin' : null;
+    }
+}
+
+BilingualText.SCRIPT_PATTERNS = {
+    cjk: /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/gu,
+    korean: /\p{Script=Hangul}/gu,
+    cyrillic: /\p{Script=Cyrillic}/gu,
+    latin: /\p{Script=Latin}/gu
+};
+
+// Scripts most likely to be the translation come first
+BilingualText.TRANSLATION_PREFERENCE = ['latin', 'cyrillic', 'korean', 'cjk'];
+
+// Blocks with fewer letters than this (scene breaks, numbers) have no script
+BilingualText.MIN_LETTERS = 4;
+
+// Each language must make up this share of the text blocks
+BilingualText.MIN_SHARE = 0.2;
+
+// Share of consecutive blocks that must switch language to count as interleaved
+BilingualText.MIN_ALTERNATION = 0.5;
+
+// Export for use in other modules
+window.BilingualText = BilingualText;
@@ -0,0 +1,222 @@
+/**
+ * Chapter cache module for WebToEpub web application
+ * Stores downloaded chapter HTML and extracted content in IndexedDB
+ */
+
+class ChapterCache {
+    constructor(settings = null) {
+        this.settings = Object.assign(ChapterCache.getDefaultSettings(), settings || ChapterCache.loadSettings());
+        this.dbPromise = null;
+    }
+
+    /**
+     * Get default cache settings
+     */
+    static getDefaultSettings() {
+        return {
+            enabled: true,
+            maxAgeHours: 24 * 7 // 0 keeps entries forever
+        };
+    }
+
+    /**
+     * Load saved cache settings from localStorage
+     */
+    static loadSettings() {
+        try {
+            const saved = localStorage.getItem(ChapterCache.STORAGE_KEY);
+            return saved ? JSON.parse(saved) : {};
+        } catch (e) {
+            console.warn('Could not load cache settings:', e);
+            return {};
+        }
+    }
+
+    /**
+     * Update and persist cache settings
+     */
+    configure(settings) {
+        this.settings = Object.assign(ChapterCache.getDefaultSettings(), this.settings, settings);
+
+        try {
+            localStorage.setItem(ChapterCache.STORAGE_KEY, JSON.stringify(this.settings));
+        } catch (e) {
+            console.warn('Could not save cache settings:', e);
+        }
+    }
+
+    /**
+     * Open the cache database, creating the object store on first use
+     */
+    openDatabase() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                if (typeof indexedDB === 'undefined') {
+                    reject(new Error('IndexedDB is not available'));
+                    return;
+                }
+
+                const request = indexedDB.open(ChapterCache.DB_NAME, ChapterCache.DB_VERSION);
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(ChapterCache.STORE_NAME)) {
+                        const store = db.createObjectStore(ChapterCache.STORE_NAME, { keyPath: 'url' });
+                        store.createIndex('domain', 'domain', { unique: false });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+
+            // Allow a later call to retry if opening failed
+            this.dbPromise.catch(() => {
+                this.dbPromise = null;
+            });
+        }
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a callback against the object store and resolve with its request result
+     */
+    async withStore(mode, callback) {
+        const db = await this.openDatabase();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(ChapterCache.STORE_NAME, mode);
+            const store = transaction.objectStore(ChapterCache.STORE_NAME);
+            const request = callback(store);
+            let result;
+
+            if (request) {
+                request.onsuccess = () => {
+                    result = request.result;
+                };
+            }
+            transaction.oncomplete = () => resolve(result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Get a cached chapter if present and not older than the max age
+     */
+    async get(url) {
+        if (!this.settings.enabled) return null;
+
+        try {
+            const entry = await this.withStore('readonly', store => store.get(url));
+            if (!entry) return null;
+
+            const maxAgeMs = this.settings.maxAgeHours * 60 * 60 * 1000;
+            if (maxAgeMs > 0 && Date.now() - entry.timestamp > maxAgeMs) {
+                console.log('Cached chapter expired:', url);
+                return null;
+            }
+
+            return entry;
+        } catch (e) {
+            console.warn('Cache read failed:', e);
+            return null;
+        }
+    }
+
+    /**
+     * Store the raw HTML of a page and, for chapters, the content extracted from it
+     * kind is "chapter", or "part" for the later pages of a chapter split across several;
+     * fingerprint names the settings the content was extracted with
+     */
+    async put(url, html, { kind = 'chapter', content = null, confidence = null, fingerprint = '', timestamp = Date.now() } = {}) {
+        if (!this.settings.enabled) return;
+
+        const entry = {
+            url,
+            domain: Utils.getDomain(url).replace(/^www\./, ''),
+            kind,
+            html,
+            content,
+            confidence,
+            fingerprint,
+            timestamp,
+            size: new Blob([html || '', content || '']).size
+        };
+
+        try {
+            await this.withStore('readwrite', store => store.put(entry));
+        } catch (e) {
+            console.warn('Cache write failed:', e);
+        }
+    }
+
+    /**
+     * Remove a single chapter from the cache
+     */
+    async delete(url) {
+        await this.withStore('readwrite', store => store.delete(url));
+    }
+
+    /**
+     * Remove all cached chapters for a domain
+     */
+    async purgeDomain(domain) {
+        await this.withStore('readwrite', store => {
+            const request = store.index('domain').openCursor(IDBKeyRange.only(domain));
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    cursor.delete();
+                    cursor.continue();
+                }
+            };
+            return null;
+        });
+    }
+
+    /**
+     * Remove every cached chapter
+     */
+    async clear() {
+        await this.withStore('readwrite', store => store.clear());
+    }
+
+    /**
+     * Summarize cache usage per domain
+     * Part pages count towards the size but not the number of chapters
+     */
+    async getStats() {
+        const domains = {};
+
+        await this.withStore('readonly', store => {
+            const request = store.openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    const { domain, kind, size, timestamp } = cursor.value;
+                    if (!domains[domain]) {
+                        domains[domain] = { domain, count: 0, size: 0, newest: 0 };
+                    }
+                    if (kind !== 'part') {
+                        domains[domain].count++;
+                    }
+                    domains[domain].size += size || 0;
+                    domains[domain].newest = Math.max(domains[domain].newest, timestamp);
+                    cursor.continue();
+                }
+            };
+            return null;
+        });
+
+        return Object.values(domains).sort((a, b) => b.size - a.size);
+    }
+}
+
+ChapterCache.DB_NAME = 'webToEpub';
+ChapterCache.DB_VERSION = 1;
+ChapterCache.STORE_NAME = 'chapters';
+ChapterCache.STORAGE_KEY = 'webToEpub.cache';
+
+// Export for use in other modules
+window.ChapterCache = ChapterCache;
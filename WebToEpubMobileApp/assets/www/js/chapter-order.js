@@ -0,0 +1,170 @@
+/**
+ * Chapter order module for WebToEpub web application
+ * Parses chapter titles into volume, chapter, part and kind, and orders chapter lists
+ */
+
+class ChapterOrder {
+    /**
+     * Parse a chapter title
+     * Returns { volume, chapter, part, kind } where the numbers are null when absent
+     * and kind is "prologue", "chapter", "interlude", "side", "epilogue" or "afterword"
+     */
+    static parseTitle(title) {
+        let text = Utils.cleanText(title);
+        const result = { volume: null, chapter: null, part: null, kind: 'chapter' };
+        const number = ChapterOrder.NUMBER;
+
+        const volumeMatch = text.match(new RegExp(`\\b(?:volume|vol\\.?|book|arc)\\s*(${number})\\b`, 'i')) ||
+            text.match(/第\s*([0-9０-９零〇一二两兩三四五六七八九十百千]+)\s*[卷部]/);
+        if (volumeMatch && ChapterOrder.parseNumber(volumeMatch[1]) !== null) {
+            result.volume = ChapterOrder.parseNumber(volumeMatch[1]);
+            text = text.replace(volumeMatch[0], ' ').trim();
+        }
+
+        const partMatch = text.match(new RegExp(`\\b(?:part|pt\\.?)\\s*(${number})\\b`, 'i')) ||
+            text.match(/\((\d+)\s*\/\s*\d+\)\s*$/) ||
+            text.match(/[（(]([上中下])[)）]\s*$/);
+        if (partMatch) {
+            result.part = { '上': 1, '中': 2, '下': 3 }[partMatch[1]] || ChapterOrder.parseNumber(partMatch[1]);
+            if (result.part !== null) {
+                text = text.replace(partMatch[0], ' ').trim();
+            }
+        }
+
+        const chapterMatch = text.match(new RegExp(`\\b(?:chapter|chap|ch|episode|ep)\\.?\\s*(${number})(?![\\w.])`, 'i')) ||
+            text.match(/第\s*([0-9０-９零〇一二两兩三四五六七八九十百千万萬]+(?:\.\d+)?)\s*[章话話回节節]/) ||
+            text.match(/제?\s*(\d+(?:\.\d+)?)\s*화/);
+        if (chapterMatch) {
+            result.chapter = ChapterOrder.parseNumber(chapterMatch[1]);
+        }
+
+        // Prologues and the like are recognized at the start of the title,
+        // or anywhere when the title carries no chapter number
+        const leading = text.replace(/^[\s:：\-–—|.]+/, '');
+        const kind = Object.keys(ChapterOrder.KIND_PATTERNS).find(name =>
+            new RegExp(`^(?:${ChapterOrder.KIND_PATTERNS[name].source})`, 'i').test(leading) ||
+            (result.chapter === null && ChapterOrder.KIND_PATTERNS[name].test(text))
+        );
+        if (kind) {
+            result.kind = kind;
+        }
+
+        // Fall back to a bare number, e.g. "12. The Return" or "Side Story 3"
+        if (result.chapter === null) {
+            const bareMatch = text.match(/(?:^|\s)(\d+(?:\.\d+)?)(?=$|[\s:：.)\-–—])/);
+            if (bareMatch) {
+                result.chapter = Number(bareMatch[1]);
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Parse Arabic, Roman, English word or Chinese numerals
+     */
+    static parseNumber(text) {
+        const value = String(text).trim().toLowerCase();
+
+        if (Object.prototype.hasOwnProperty.call(ChapterOrder.NUMBER_WORDS, value)) {
+            return ChapterOrder.NUMBER_WORDS[value];
+        }
+
+        if (/^[ivxlcdm]+$/.test(value) && /^m{0,3}(cm|cd|d?c{0,3})(xc|xl|l?x{0,3})(ix|iv|v?i{0,3})$/.test(value)) {
+            const numerals = { i: 1, v: 5, x: 10, l: 50, c: 100, d: 500, m: 1000 };
+            let total = 0;
+            for (let i = 0; i < value.length; i++) {
+                const current = numerals[value[i]];
+                const next = numerals[value[i + 1]] || 0;
+                total += current < next ? -current : current;
+            }
+            return total;
+        }
+
+        return ChapterTitleNormalizer.parseNumber(value);
+    }
+
+    /**
+     * Order a chapter list
+     * Modes: "source" keeps the site's order, "reversed" flips it for sites that list
+     * newest first, "parsed" sorts by volume, chapter and part from the titles
+     */
+    static sort(chapters, mode) {
+        if (mode === 'source') return chapters.slice();
+        if (mode === 'reversed') return chapters.slice().reverse();
+
+        const parsed = chapters.map((chapter, position) => ({
+            chapter,
+            position,
+            info: ChapterOrder.parseTitle(chapter.sourceTitle || chapter.title)
+        }));
+
+        // Titles without a volume belong to the volume of the chapter before them
+        let volume = 0;
+        parsed.forEach(entry => {
+            if (entry.info.volume !== null) {
+                volume = entry.info.volume;
+            }
+            entry.volume = volume;
+        });
+
+        // Unnumbered interludes and side stories stay right after the chapter they followed
+        const groups = [];
+        parsed.forEach(entry => {
+            const { chapter, kind } = entry.info;
+            const anchored = chapter !== null || ['prologue', 'epilogue', 'afterword'].includes(kind);
+            if (anchored || groups.length === 0) {
+                groups.push({ anchor: entry, followers: [] });
+            } else {
+                groups[groups.length - 1].followers.push(entry);
+            }
+        });
+
+        const rank = (entry) => ChapterOrder.KIND_RANKS[entry.info.kind] !== undefined
+            ? ChapterOrder.KIND_RANKS[entry.info.kind]
+            : ChapterOrder.KIND_RANKS.chapter;
+        const compareNumbers = (a, b) => (a === null ? -1 : a) - (b === null ? -1 : b);
+
+        groups.sort((groupA, groupB) => {
+            const a = groupA.anchor;
+            const b = groupB.anchor;
+            return (a.volume - b.volume) ||
+                (rank(a) - rank(b)) ||
+                compareNumbers(a.info.chapter, b.info.chapter) ||
+                compareNumbers(a.info.part, b.info.part) ||
+                (a.position - b.position);
+        });
+
+        return groups.reduce((ordered, group) =>
+            ordered.concat(group.anchor.chapter, group.followers.map(entry => entry.chapter)), []);
+    }
+}
+
+// Digits with an optional decimal, Roman numerals, number words or Chinese numerals
+ChapterOrder.NUMBER = '\\d+(?:\\.\\d+)?|[ivxlcdm]+|one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve|[零〇一二两兩三四五六七八九十百千]+';
+
+ChapterOrder.NUMBER_WORDS = {
+    one: 1, two: 2, three: 3, four: 4, five: 5, six: 6,
+    seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12
+};
+
+ChapterOrder.KIND_PATTERNS = {
+    prologue: /prologue|序章|序幕|楔子|프롤로그/i,
+    epilogue: /epilogue|尾声|尾聲|终章|終章|에필로그/i,
+    afterword: /afterword|后记|後記|あとがき|후기/i,
+    side: /side\s*story|extra|bonus\s+chapter|special\s+chapter|番外|外传|外傳|외전/i,
+    interlude: /interlude|intermission|幕间|幕間|막간/i
+};
+
+// Position of each kind within a volume; side stories come after the main chapters
+ChapterOrder.KIND_RANKS = {
+    prologue: 0,
+    chapter: 1,
+    interlude: 1,
+    side: 2,
+    epilogue: 3,
+    afterword: 4
+};
+
+// Export for use in other modules
+window.ChapterOrder = ChapterOrder;
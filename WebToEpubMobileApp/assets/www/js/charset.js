@@ -0,0 +1,126 @@
+/**
+ * Charset module for WebToEpub web application
+ * Decodes fetched pages using the encoding they declare (GBK, Big5, Shift_JIS, ...)
+ */
+
+class CharsetDetector {
+    /**
+     * Decode response bytes to text
+     * A charset known from the transport wins; otherwise the byte order mark,
+     * the Content-Type header and the page's meta tags are checked in turn
+     */
+    static decode(body, contentType = '', knownCharset = null) {
+        const bytes = body instanceof Uint8Array ? body : new Uint8Array(body);
+        const charset = knownCharset || CharsetDetector.detect(bytes, contentType);
+
+        try {
+            // The BOM is dropped by TextDecoder for the matching encoding
+            return new TextDecoder(charset).decode(bytes);
+        } catch (e) {
+            console.warn(`Unsupported charset "${charset}", decoding as UTF-8:`, e);
+            return new TextDecoder('utf-8').decode(bytes);
+        }
+    }
+
+    /**
+     * Work out the charset of a page from its bytes and Content-Type header
+     */
+    static detect(bytes, contentType = '') {
+        const bom = CharsetDetector.fromBom(bytes);
+        if (bom) return bom;
+
+        const declared = CharsetDetector.fromMeta(bytes);
+        const header = CharsetDetector.fromContentType(contentType);
+
+        // Proxies often stamp UTF-8 on whatever they relay, so a header that
+        // contradicts both the bytes and the page's own declaration loses
+        if (header && !(header === 'utf-8' && declared && declared !== 'utf-8' && !CharsetDetector.isValidUtf8(bytes))) {
+            return header;
+        }
+        if (declared) return declared;
+
+        return 'utf-8';
+    }
+
+    /**
+     * Read a byte order mark
+     */
+    static fromBom(bytes) {
+        if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) return 'utf-8';
+        if (bytes[0] === 0xFF && bytes[1] === 0xFE) return 'utf-16le';
+        if (bytes[0] === 0xFE && bytes[1] === 0xFF) return 'utf-16be';
+        return null;
+    }
+
+    /**
+     * Read the charset parameter of a Content-Type header
+     */
+    static fromContentType(contentType) {
+        const match = String(contentType || '').match(/charset\s*=\s*["']?([\w.:-]+)/i);
+        return match ? CharsetDetector.normalizeLabel(match[1]) : null;
+    }
+
+    /**
+     * Read <meta charset>, <meta http-equiv="Content-Type"> or an XML declaration
+     * from the start of the page
+     */
+    static fromMeta(bytes) {
+        // Charset declarations are ASCII, so any single-byte decoding can find them
+        const head = new TextDecoder('windows-1252').decode(bytes.subarray(0, CharsetDetector.SNIFF_BYTES));
+
+        const patterns = [
+            /<meta[^>]+charset\s*=\s*["']?\s*([\w.:-]+)/i,
+            /<\?xml[^>]+encoding\s*=\s*["']([\w.:-]+)/i
+        ];
+        for (const pattern of patterns) {
+            const match = head.match(pattern);
+            if (match) {
+                return CharsetDetector.normalizeLabel(match[1]);
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Check whether bytes decode as UTF-8 without errors
+     */
+    static isValidUtf8(bytes) {
+        try {
+            new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * Map a charset label to one TextDecoder accepts, or null if it is unknown
+     */
+    static normalizeLabel(label) {
+        const value = String(label || '').trim().toLowerCase();
+        const aliases = {
+            'utf8': 'utf-8',
+            'gb2312': 'gbk',
+            'x-gbk': 'gbk',
+            'sjis': 'shift_jis',
+            'x-sjis': 'shift_jis',
+            'big5-hkscs': 'big5',
+            'cp1251': 'windows-1251'
+        };
+        const charset = aliases[value] || value;
+
+        try {
+            new TextDecoder(charset);
+            return charset;
+        } catch (e) {
+            return null;
+        }
+    }
+}
+
+// How much of the start of a page is searched for a charset declaration
+CharsetDetector.SNIFF_BYTES = 4096;
+
+// Export for use in other modules
+window.CharsetDetector = CharsetDetector;
@@ -4,7 +4,10 @@
  */
 
 class EpubGenerator {
-    constructor() {
+    constructor(transport = null, contentOptions = null, replacements = null) {
+        this.transport = transport || new Transport();
+        this.contentOptions = contentOptions || new ContentOptions();
+        this.replacements = replacements || new ReplacementRulesStore();
         this.zip = new JSZip();
     }
 
@@ -23,6 +26,17 @@ class EpubGenerator {
 
             onProgress(0, 'Creating EPUB structure...');
 
+            // The language field is free text, so only a well-formed tag reaches the package
+            metaInfo = Object.assign({}, metaInfo, { language: LanguageDetector.normalizeTag(metaInfo.language) || 'en' });
+
+            // Titles are normalized against the final metadata and book positions
+            chapters = chapters.map((chapter, index) => Object.assign({}, chapter, {
+                title: this.contentOptions.formatChapterTitle(chapter.sourceTitle || chapter.title, metaInfo.title, index + 1)
+            }));
+
+            // Find-and-replace rules run last, on the titles and text as they will appear
+            chapters = chapters.map(chapter => this.replacements.apply(chapter, metaInfo.title));
+
             // Create EPUB structure
             this.createEpubStructure();
 
@@ -32,7 +46,8 @@ class EpubGenerator {
 
             // Add chapters
             onProgress(30, 'Adding chapters...');
-            await this.addChapters(chapters, onProgress);
+            await this.addChapters(chapters, onProgress, metaInfo.language);
+            this.addPartPages(chapters);
 
             // Add cover image if available
             if (metaInfo.coverImageUrl) {
@@ -82,6 +97,16 @@ class EpubGenerator {
     addMetadata(metaInfo, chapters) {
         const now = new Date().toISOString();
         const identifier = Utils.generateUUID();
+        const groups = this.getTocGroups(chapters);
+
+        // Spine order, with a part title page ahead of each volume when enabled
+        const readingOrder = [];
+        (groups || [{ indices: chapters.map((chapter, index) => index) }]).forEach(group => {
+            if (group.partPage) {
+                readingOrder.push({ id: group.partPage.replace('.xhtml', ''), href: group.partPage });
+            }
+            group.indices.forEach(index => readingOrder.push({ id: `chapter-${index + 1}`, href: `chapter-${index + 1}.xhtml` }));
+        });
 
         // Create content.opf
         const contentOpf = `<?xml version="1.0" encoding="UTF-8"?>
@@ -90,7 +115,7 @@ class EpubGenerator {
         <dc:identifier id="BookId">urn:uuid:${identifier}</dc:identifier>
         <dc:title>${this.escapeXml(metaInfo.title)}</dc:title>
         <dc:creator>${this.escapeXml(metaInfo.author)}</dc:creator>
-        <dc:language>${metaInfo.language}</dc:language>
+        <dc:language>${this.escapeXml(metaInfo.language)}</dc:language>
         <dc:date>${now}</dc:date>
         <dc:publisher>WebToEpub</dc:publisher>
         <dc:description>${this.escapeXml(metaInfo.description)}</dc:description>
@@ -100,15 +125,16 @@ class EpubGenerator {
     </metadata>
     <manifest>
         <item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>
+        <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
         <item id="css" href="style.css" media-type="text/css"/>
         ${metaInfo.coverImageUrl ? '<item id="cover-image" href="cover.jpg" media-type="image/jpeg"/>' : ''}
-        ${chapters.map((chapter, index) =>
-            `<item id="chapter-${index + 1}" href="chapter-${index + 1}.xhtml" media-type="application/xhtml+xml"/>`
+        ${readingOrder.map(item =>
+            `<item id="${item.id}" href="${item.href}" media-type="application/xhtml+xml"/>`
         ).join('\n        ')}
     </manifest>
     <spine toc="ncx">
-        ${chapters.map((chapter, index) =>
-            `<itemref idref="chapter-${index + 1}"/>`
+        ${readingOrder.map(item =>
+            `<itemref idref="${item.id}"/>`
         ).join('\n        ')}
     </spine>
 </package>`;
@@ -117,10 +143,10 @@ class EpubGenerator {
 
         // Create toc.ncx
         const tocNcx = `<?xml version="1.0" encoding="UTF-8"?>
-<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1" xml:lang="en">
+<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1" xml:lang="${this.escapeXml(metaInfo.language)}">
     <head>
         <meta name="dtb:uid" content="${identifier}"/>
-        <meta name="dtb:depth" content="1"/>
+        <meta name="dtb:depth" content="${groups ? 2 : 1}"/>
         <meta name="dtb:totalPageCount" content="0"/>
         <meta name="dtb:maxPageNumber" content="0"/>
     </head>
@@ -128,18 +154,30 @@ class EpubGenerator {
         <text>${this.escapeXml(metaInfo.title)}</text>
     </docTitle>
     <navMap>
-        ${chapters.map((chapter, index) => `
-        <navPoint id="nav-${index + 1}" playOrder="${index + 1}">
-            <navLabel>
-                <text>${this.escapeXml(chapter.title)}</text>
-            </navLabel>
-            <content src="chapter-${index + 1}.xhtml"/>
-        </navPoint>`).join('\n        ')}
+        ${this.buildNavPoints(chapters, groups)}
     </navMap>
 </ncx>`;
 
         this.zip.file('OEBPS/toc.ncx', tocNcx);
 
+        // Create the EPUB 3 navigation document
+        const navXhtml = `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops">
+<head>
+    <title>${this.escapeXml(metaInfo.title)}</title>
+    <link rel="stylesheet" type="text/css" href="style.css"/>
+</head>
+<body>
+    <nav epub:type="toc" id="toc">
+        <h1>Table of Contents</h1>
+        ${this.buildNavList(chapters, groups)}
+    </nav>
+</body>
+</html>`;
+
+        this.zip.file('OEBPS/nav.xhtml', navXhtml);
+
         // Create CSS
         const css = `body {
     font-family: Georgia, serif;
@@ -188,15 +226,194 @@ hr {
     border: none;
     border-top: 1px solid #ccc;
     margin: 2em 0;
+}
+
+aside.author-notes {
+    margin-top: 2em;
+    padding: 0.5em 1em;
+    border-top: 1px solid #ccc;
+    font-size: 0.9em;
+}
+
+aside.author-notes summary {
+    font-weight: bold;
+}
+
+aside.author-notes p {
+    text-indent: 0;
+}
+
+.part-title h1 {
+    margin-top: 30%;
+    border-bottom: none;
+}
+
+nav ol {
+    list-style: none;
+}
+
+.centered {
+    text-align: center;
+    text-indent: 0;
+}
+
+.scene-break {
+    margin: 1.5em 0;
+    text-align: center;
+    text-indent: 0;
+    letter-spacing: 0.5em;
+}
+
+ruby rt {
+    font-size: 0.5em;
+}
+
+table {
+    border-collapse: collapse;
+    margin: 1em auto;
+}
+
+td, th {
+    border: 1px solid #ccc;
+    padding: 0.3em 0.6em;
+    text-indent: 0;
+}
+
+.bilingual-pair {
+    display: table;
+    table-layout: fixed;
+    width: 100%;
+    margin-bottom: 1em;
+}
+
+.bilingual-pair .original,
+.bilingual-pair .translation {
+    display: table-cell;
+    width: 50%;
+    padding: 0 0.5em;
+    text-indent: 0;
+    vertical-align: top;
 }`;
 
         this.zip.file('OEBPS/style.css', css);
     }
 
+    /**
+     * Group consecutive chapters listed under the same volume or arc heading
+     * Returns null when no chapter has a group, which keeps the TOC flat
+     */
+    getTocGroups(chapters) {
+        const groups = [];
+        chapters.forEach((chapter, index) => {
+            const title = chapter.group || null;
+            const last = groups[groups.length - 1];
+            if (last && last.title === title) {
+                last.indices.push(index);
+            } else {
+                groups.push({ title, indices: [index] });
+            }
+        });
+
+        if (!groups.some(group => group.title)) return null;
+
+        let partNumber = 0;
+        groups.forEach(group => {
+            if (group.title && this.contentOptions.settings.volumeTitlePages) {
+                group.partPage = `part-${++partNumber}.xhtml`;
+            }
+        });
+
+        return groups;
+    }
+
+    /**
+     * Build the toc.ncx navPoints, nesting chapters under their volume
+     * Entries pointing at the same file share a playOrder
+     */
+    buildNavPoints(chapters, groups) {
+        const playOrders = {};
+        const playOrder = (src) => playOrders[src] || (playOrders[src] = Object.keys(playOrders).length + 1);
+
+        const navPoint = (id, label, src, indent, children = '') => `
+${indent}<navPoint id="${id}" playOrder="${playOrder(src)}">
+${indent}    <navLabel>
+${indent}        <text>${this.escapeXml(label)}</text>
+${indent}    </navLabel>
+${indent}    <content src="${src}"/>${children}
+${indent}</navPoint>`;
+
+        const chapterPoint = (index, indent) =>
+            navPoint(`nav-${index + 1}`, chapters[index].title, `chapter-${index + 1}.xhtml`, indent);
+
+        if (!groups) {
+            return chapters.map((chapter, index) => chapterPoint(index, '        ')).join('');
+        }
+
+        return groups.map((group, groupIndex) => {
+            if (!group.title) {
+                return group.indices.map(index => chapterPoint(index, '        ')).join('');
+            }
+
+            const src = group.partPage || `chapter-${group.indices[0] + 1}.xhtml`;
+            // The volume's playOrder must come before its chapters'
+            playOrder(src);
+            const children = group.indices.map(index => chapterPoint(index, '            ')).join('');
+            return navPoint(`nav-group-${groupIndex + 1}`, group.title, src, '        ', children);
+        }).join('');
+    }
+
+    /**
+     * Build the nested list of the navigation document
+     */
+    buildNavList(chapters, groups) {
+        const chapterItem = (index) =>
+            `<li><a href="chapter-${index + 1}.xhtml">${this.escapeXml(chapters[index].title)}</a></li>`;
+
+        const items = (groups || [{ indices: chapters.map((chapter, index) => index) }]).map(group => {
+            if (!group.title) {
+                return group.indices.map(chapterItem).join('\n            ');
+            }
+
+            const src = group.partPage || `chapter-${group.indices[0] + 1}.xhtml`;
+            return `<li><a href="${src}">${this.escapeXml(group.title)}</a>
+                <ol>
+                    ${group.indices.map(chapterItem).join('\n                    ')}
+                </ol>
+            </li>`;
+        });
+
+        return `<ol>
+            ${items.join('\n            ')}
+        </ol>`;
+    }
+
+    /**
+     * Add a title page ahead of each volume
+     */
+    addPartPages(chapters) {
+        (this.getTocGroups(chapters) || []).filter(group => group.partPage).forEach(group => {
+            const partXhtml = `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml">
+<head>
+    <title>${this.escapeXml(group.title)}</title>
+    <link rel="stylesheet" type="text/css" href="style.css"/>
+</head>
+<body>
+    <section class="part-title">
+        <h1>${this.escapeXml(group.title)}</h1>
+    </section>
+</body>
+</html>`;
+
+            this.zip.file(`OEBPS/${group.partPage}`, partXhtml);
+        });
+    }
+
     /**
      * Add chapters to EPUB
      */
-    async addChapters(chapters, onProgress) {
+    async addChapters(chapters, onProgress, language) {
         for (let i = 0; i < chapters.length; i++) {
             const chapter = chapters[i];
             const chapterNumber = i + 1;
@@ -217,7 +434,7 @@ hr {
 </head>
 <body>
     <h1>${this.escapeXml(chapter.title)}</h1>
-    ${this.processChapterContent(chapter.content)}
+    ${this.processChapterContent(chapter.content, language)}
 </body>
 </html>`;
 
@@ -230,8 +447,9 @@ hr {
 
     /**
      * Process chapter content for EPUB
+     * Typography follows the book's language when that option is on
      */
-    processChapterContent(content) {
+    processChapterContent(content, language) {
         if (!content) return '<p>No content available.</p>';
 
         // Parse the HTML content
@@ -251,20 +469,12 @@ hr {
             div.querySelectorAll(selector).forEach(el => el.remove());
         });
 
+        // Keep semantic formatting and drop leftover inline styles
+        InlineFormatting.apply(div);
+        SceneBreaks.apply(div);
+
         // Process all text nodes to clean up whitespace
-        const walker = document.createTreeWalker(
-            div,
-            NodeFilter.SHOW_TEXT,
-            null,
-            false
-        );
-
-        let node;
-        while (node = walker.nextNode()) {
-            node.textContent = node.textContent
-                .replace(/\s+/g, ' ')
-                .trim();
-        }
+        InlineFormatting.collapseWhitespace(div);
 
         // Wrap plain text in paragraphs
         const elements = Array.from(div.childNodes);
@@ -290,20 +500,24 @@ hr {
 
         // Convert div elements to paragraphs if they only contain text
         div.querySelectorAll('div').forEach(divEl => {
-            if (!divEl.querySelector('div, p, img, table')) {
+            if (!divEl.querySelector('div, p, img, table, pre')) {
                 const p = document.createElement('p');
                 p.innerHTML = divEl.innerHTML;
+                if (divEl.className) {
+                    p.className = divEl.className;
+                }
                 divEl.parentNode.replaceChild(p, divEl);
             }
         });
 
-        // Ensure proper XHTML structure
-        let processedContent = div.innerHTML
-            .replace(/<br\s*\/?>/gi, '<br/>')
-            .replace(/<hr\s*\/?>/gi, '<hr/>')
-            .replace(/<img([^>]*)\s*\/?>/gi, '<img$1/>')
-            .replace(/&nbsp;/g, ' ')
-            .replace(/\s+/g, ' ')
+        if (this.contentOptions.settings.typography) {
+            Typography.apply(div, language);
+        }
+
+        // Serialize as XHTML, which closes every void element (col, wbr...) and
+        // writes non-breaking spaces as characters; the wrapper div is then dropped
+        let processedContent = new XMLSerializer().serializeToString(div)
+            .replace(/^<div[^>]*>|<\/div>$/g, '')
             .trim();
 
         // Split content into paragraphs if it's one large block
@@ -350,31 +564,10 @@ hr {
         try {
             Utils.updateProgress(0, 'Downloading cover image...');
 
-            // Use CORS proxy for cover image
-            const proxyUrl = `https://api.allorigins.win/get?url=${encodeURIComponent(imageUrl)}`;
-            const response = await fetch(proxyUrl);
-
-            if (!response.ok) {
-                console.warn('Failed to download cover image');
-                return;
-            }
-
-            const data = await response.json();
-            const imageContent = data.contents;
-
-            if (imageContent) {
-                // Convert base64 to blob
-                const binaryString = atob(imageContent);
-                const bytes = new Uint8Array(binaryString.length);
-                for (let i = 0; i < binaryString.length; i++) {
-                    bytes[i] = binaryString.charCodeAt(i);
-                }
-
-                const imageBlob = new Blob([bytes], { type: 'image/jpeg' });
-                this.zip.file('OEBPS/cover.jpg', imageBlob);
+            const imageBlob = await this.transport.fetchBlob(imageUrl, 'image/jpeg');
+            this.zip.file('OEBPS/cover.jpg', imageBlob);
 
-                Utils.updateProgress(100, 'Cover image added');
-            }
+            Utils.updateProgress(100, 'Cover image added');
 
         } catch (error) {
             console.warn('Error adding cover image:', error);
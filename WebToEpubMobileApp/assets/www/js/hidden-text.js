@@ -0,0 +1,308 @@
+/**
+ * Hidden text module for WebToEpub web application
+ * Removes honeypot text that readers never see and invisible fingerprint characters
+ */
+
+class HiddenText {
+    /**
+     * Remove elements hidden by inline styles, the hidden attribute or the
+     * page's own style sheets, then strip invisible characters from the text
+     * Must run while the page's <style> elements are still in the document
+     * Returns the number of elements removed
+     */
+    static clean(dom) {
+        const body = dom.body;
+        if (!body) return 0;
+
+        const hidden = [];
+        HiddenText.getCascadedStyles(dom).forEach((declarations, element) => {
+            if (HiddenText.isHiddenStyle(declarations)) {
+                hidden.push(element);
+            }
+        });
+
+        // Some sites hide the whole chapter until a script reveals it, so never
+        // remove an element holding most of the page's text, and remove nothing
+        // when the hidden elements together would take most of it
+        const maxLength = body.textContent.length * HiddenText.MAX_SHARE;
+        const candidates = new Set(hidden.filter(element => element.textContent.length <= maxLength));
+        const outermost = Array.from(candidates).filter(element => {
+            for (let parent = element.parentElement; parent; parent = parent.parentElement) {
+                if (candidates.has(parent)) return false;
+            }
+            return true;
+        });
+        const total = outermost.reduce((length, element) => length + element.textContent.length, 0);
+
+        let removed = 0;
+        if (total <= maxLength) {
+            outermost.forEach(element => element.remove());
+            removed = outermost.length;
+        } else {
+            console.warn('Kept hidden elements holding most of the page text');
+        }
+
+        HiddenText.stripInvisibleCharacters(body);
+
+        if (removed > 0) {
+            console.log(`Removed ${removed} hidden elements`);
+        }
+        return removed;
+    }
+
+    /**
+     * Work out the declarations that win for each styled element in the body
+     * Follows the cascade: !important first, then inline styles, then selector
+     * specificity, then the later rule. The hidden attribute counts as display: none
+     * at the lowest priority, as in the browser's own style sheet
+     * Returns a Map of element to { property: value }
+     */
+    static getCascadedStyles(dom) {
+        const winners = new Map();
+        const declare = (element, declarations, important, rank) => {
+            if (!winners.has(element)) winners.set(element, {});
+            const current = winners.get(element);
+            Object.entries(declarations).forEach(([property, value]) => {
+                const priority = [important.has(property) ? 1 : 0, ...rank];
+                const previous = current[property];
+                if (!previous || HiddenText.comparePriority(priority, previous.priority) >= 0) {
+                    current[property] = { value, priority };
+                }
+            });
+        };
+
+        dom.body.querySelectorAll('[hidden]').forEach(element => {
+            declare(element, { display: 'none' }, new Set(), [-1, 0, 0]);
+        });
+
+        HiddenText.getStyleRules(dom).forEach((rule, order) => {
+            HiddenText.splitSelectorList(rule.selector).forEach(selector => {
+                try {
+                    dom.body.querySelectorAll(selector).forEach(element => {
+                        declare(element, rule.declarations, rule.important, [0, HiddenText.getSpecificity(selector), order]);
+                    });
+                } catch (e) {
+                    // Pseudo-elements and selectors the parser does not know match nothing
+                }
+            });
+        });
+
+        dom.body.querySelectorAll('[style]').forEach(element => {
+            const text = element.getAttribute('style');
+            declare(element, HiddenText.parseDeclarations(text), HiddenText.getImportant(text), [1, 0, 0]);
+        });
+
+        const styles = new Map();
+        winners.forEach((declarations, element) => {
+            const values = {};
+            Object.entries(declarations).forEach(([property, { value }]) => {
+                values[property] = value;
+            });
+            styles.set(element, values);
+        });
+        return styles;
+    }
+
+    /**
+     * Compare two cascade priorities, each a list of numbers compared in turn
+     */
+    static comparePriority(a, b) {
+        for (let i = 0; i < a.length; i++) {
+            if (a[i] !== b[i]) return a[i] - b[i];
+        }
+        return 0;
+    }
+
+    /**
+     * Approximate the specificity of a selector as a single number
+     * Ids outweigh classes, attributes and pseudo-classes, which outweigh type selectors
+     */
+    static getSpecificity(selector) {
+        const text = selector.replace(/"[^"]*"|'[^']*'/g, '').replace(/\[[^\]]*\]/g, '.a');
+        const ids = (text.match(/#[\w-]+/g) || []).length;
+        const classes = (text.match(/\.[\w-]+|:(?!:)[\w-]+/g) || []).length;
+        const types = (text.replace(/[#.:]+[\w-]+/g, '').match(/[a-z][\w-]*/gi) || []).length;
+        return ids * 10000 + classes * 100 + types;
+    }
+
+    /**
+     * Split a selector list on the commas between selectors, not those inside
+     * :is(), :not() or attribute values
+     */
+    static splitSelectorList(selectorList) {
+        const selectors = [];
+        let depth = 0;
+        let quote = '';
+        let start = 0;
+        for (let i = 0; i < selectorList.length; i++) {
+            const character = selectorList[i];
+            if (quote) {
+                if (character === quote) quote = '';
+            } else if (character === '"' || character === "'") {
+                quote = character;
+            } else if (character === '(' || character === '[') {
+                depth++;
+            } else if (character === ')' || character === ']') {
+                depth--;
+            } else if (character === ',' && depth === 0) {
+                selectors.push(selectorList.slice(start, i));
+                start = i + 1;
+            }
+        }
+        selectors.push(selectorList.slice(start));
+        return selectors.map(selector => selector.trim()).filter(Boolean);
+    }
+
+    /**
+     * Check whether a set of CSS declarations hides an element from readers
+     */
+    static isHiddenStyle(declarations) {
+        const value = (property) => declarations[property] || '';
+        const isZero = (length) => /^-?0*\.?0+(?:px|em|rem|pt|%|vw|vh)?$/.test(length);
+        const isFarNegative = (length) => {
+            const match = length.match(/^-(\d+(?:\.\d+)?)(px|em|rem|pt|%|vw|vh)?$/);
+            return !!match && parseFloat(match[1]) >= (match[2] === 'px' || !match[2] ? 999 : 99);
+        };
+
+        if (value('display') === 'none') return true;
+        if (['hidden', 'collapse'].includes(value('visibility'))) return true;
+        if (isZero(value('font-size')) || value('opacity') === '0' || value('color') === 'transparent') return true;
+        if (/^scale\(\s*0\s*\)$/.test(value('transform'))) return true;
+
+        // Moved off screen, or indented out of sight
+        if (['absolute', 'fixed'].includes(value('position')) &&
+            ['left', 'top', 'right'].some(property => isFarNegative(value(property)))) return true;
+        if (isFarNegative(value('text-indent'))) return true;
+
+        // Clipped or collapsed to nothing
+        if (/^rect\(\s*0(?:px)?[\s,]+0(?:px)?[\s,]+0(?:px)?[\s,]+0(?:px)?\s*\)$/.test(value('clip'))) return true;
+        if (value('overflow') === 'hidden' && (isZero(value('height')) || isZero(value('width')) ||
+            isZero(value('max-height')) || isZero(value('max-width')))) return true;
+
+        return false;
+    }
+
+    /**
+     * Parse a CSS declaration block into a map of lower-case properties to values
+     */
+    static parseDeclarations(text) {
+        const declarations = {};
+        String(text || '').split(';').forEach(declaration => {
+            const separator = declaration.indexOf(':');
+            if (separator < 0) return;
+
+            const property = declaration.slice(0, separator).trim().toLowerCase();
+            const value = declaration.slice(separator + 1).replace(/!\s*important/i, '').trim().toLowerCase();
+            if (property && value) {
+                declarations[property] = value;
+            }
+        });
+        return declarations;
+    }
+
+    /**
+     * Get the properties a CSS declaration block marks !important
+     */
+    static getImportant(text) {
+        const important = new Set();
+        String(text || '').split(';').forEach(declaration => {
+            const separator = declaration.indexOf(':');
+            if (separator > 0 && /!\s*important/i.test(declaration)) {
+                important.add(declaration.slice(0, separator).trim().toLowerCase());
+            }
+        });
+        return important;
+    }
+
+    /**
+     * Read the style rules of the page's <style> elements as { selector, declarations, important }
+     * Rules inside @supports blocks and unconditional @media blocks count; rules that
+     * depend on the screen size do not, as sites hide a mobile or a desktop copy of the text
+     */
+    static getStyleRules(dom) {
+        const rules = [];
+        dom.querySelectorAll('style').forEach(style => {
+            HiddenText.parseRules(style.textContent.replace(/\/\*[\s\S]*?\*\//g, ''), rules);
+        });
+        return rules;
+    }
+
+    /**
+     * Split style sheet text into rules, descending into nested blocks
+     */
+    static parseRules(css, rules) {
+        let position = 0;
+        while (position < css.length) {
+            const open = css.indexOf('{', position);
+            if (open < 0) break;
+
+            // Find the matching closing brace
+            let depth = 1;
+            let close = open + 1;
+            while (close < css.length && depth > 0) {
+                if (css[close] === '{') depth++;
+                if (css[close] === '}') depth--;
+                close++;
+            }
+
+            // Skip statements such as @import that end with a semicolon
+            const prelude = css.slice(position, open).split(';').pop().trim();
+            const block = css.slice(open + 1, close - 1);
+
+            if (prelude.startsWith('@')) {
+                if (/^@supports\b/i.test(prelude) || HiddenText.UNCONDITIONAL_MEDIA.test(prelude)) {
+                    HiddenText.parseRules(block, rules);
+                }
+            } else if (prelude) {
+                rules.push({
+                    selector: prelude,
+                    declarations: HiddenText.parseDeclarations(block),
+                    important: HiddenText.getImportant(block)
+                });
+            }
+
+            position = close;
+        }
+        return rules;
+    }
+
+    /**
+     * Remove zero-width and other invisible characters from every text node
+     */
+    static stripInvisibleCharacters(root) {
+        const walker = root.ownerDocument.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+        let node;
+        while ((node = walker.nextNode())) {
+            const text = HiddenText.stripInvisible(node.textContent);
+            if (text !== node.textContent) {
+                node.textContent = text;
+            }
+        }
+    }
+
+    /**
+     * Remove invisible characters from a string
+     * Joiners are kept where a script or an emoji sequence needs them, e.g. in Persian or Hindi
+     * No lookbehind here: older iOS WebViews cannot parse it
+     */
+    static stripInvisible(text) {
+        return text
+            .replace(HiddenText.INVISIBLE_PATTERN, '')
+            .replace(/(^|[\p{Script=Latin}\p{N}\p{P}\s])[\u200C\u200D]+/gu, '$1')
+            .replace(/[\u200C\u200D]+(?=$|[\p{Script=Latin}\p{N}\p{P}\s])/gu, '')
+            // Tag characters only belong in flag sequences such as the flag of Scotland
+            .replace(/(\u{1F3F4}[\u{E0020}-\u{E007F}]*)|[\u{E0001}-\u{E007F}]/gu, (match, flag) => flag || '');
+    }
+}
+
+// Zero-width spaces, word joiners, invisible operators, the BOM, soft hyphens and similar
+HiddenText.INVISIBLE_PATTERN = /[\u00AD\u034F\u115F\u1160\u17B4\u17B5\u180E\u200B\u2060-\u2064\u206A-\u206F\u3164\uFEFF\uFFA0]/g;
+
+// @media preludes that apply on every screen; any other media query is conditional
+HiddenText.UNCONDITIONAL_MEDIA = /^@media\s+(?:only\s+)?(?:all|screen)\s*$/i;
+
+// Hidden elements holding more than this share of the page's text are kept
+HiddenText.MAX_SHARE = 0.5;
+
+// Export for use in other modules
+window.HiddenText = HiddenText;
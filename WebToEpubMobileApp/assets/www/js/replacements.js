@@ -0,0 +1,283 @@
+/**
+ * Replacements module for WebToEpub web application
+ * Stores the user's ordered find-and-replace rules and applies them to chapters
+ */
+
+class ReplacementRulesStore {
+    constructor() {
+        this.rules = this.load();
+    }
+
+    /**
+     * Load saved rules from localStorage
+     */
+    load() {
+        try {
+            const saved = localStorage.getItem(ReplacementRulesStore.STORAGE_KEY);
+            return saved ? JSON.parse(saved).map(rule => ReplacementRulesStore.normalizeRule(rule)) : [];
+        } catch (e) {
+            console.warn('Could not load replacement rules:', e);
+            return [];
+        }
+    }
+
+    /**
+     * Persist rules to localStorage
+     */
+    save() {
+        try {
+            localStorage.setItem(ReplacementRulesStore.STORAGE_KEY, JSON.stringify(this.rules));
+        } catch (e) {
+            console.warn('Could not save replacement rules:', e);
+        }
+    }
+
+    /**
+     * Get all rules in the order they are applied
+     */
+    getRules() {
+        return this.rules;
+    }
+
+    /**
+     * Add a rule, or replace the rule at an index
+     * Returns the index of the saved rule
+     */
+    setRule(index, rule) {
+        const normalized = ReplacementRulesStore.normalizeRule(rule);
+        if (!normalized.find) {
+            throw new Error('Text to find is required');
+        }
+
+        try {
+            ReplacementRulesStore.compile(normalized);
+        } catch (e) {
+            throw new Error(`Invalid pattern: ${e.message}`);
+        }
+
+        if (index === null || index < 0 || index >= this.rules.length) {
+            this.rules.push(normalized);
+            index = this.rules.length - 1;
+        } else {
+            this.rules[index] = normalized;
+        }
+
+        this.save();
+        return index;
+    }
+
+    /**
+     * Delete the rule at an index
+     */
+    deleteRule(index) {
+        this.rules.splice(index, 1);
+        this.save();
+    }
+
+    /**
+     * Move a rule up (-1) or down (+1) in the order
+     * Returns the rule's new index
+     */
+    moveRule(index, offset) {
+        const target = index + offset;
+        if (target < 0 || target >= this.rules.length) return index;
+
+        const [rule] = this.rules.splice(index, 1);
+        this.rules.splice(target, 0, rule);
+        this.save();
+        return target;
+    }
+
+    /**
+     * Check whether a rule applies to a chapter URL and novel title
+     */
+    static appliesTo(rule, url, novelTitle) {
+        if (!rule.enabled) return false;
+
+        if (rule.site) {
+            const host = SiteRulesStore.normalizeDomain(url || '');
+            if (host !== rule.site && !host.endsWith(`.${rule.site}`)) return false;
+        }
+
+        if (rule.novel && Utils.cleanText(novelTitle || '').toLowerCase() !== rule.novel.toLowerCase()) {
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Run the rules over a chapter's title and body text
+     * Returns { title, content, counts } with a match count per rule; rules that
+     * do not apply to the chapter count 0. Markup is left alone, so a match
+     * cannot span tags such as "Mr. <em>Li</em>"
+     */
+    replaceInChapter(chapter, novelTitle) {
+        const counts = this.rules.map(() => 0);
+        let title = chapter.title || '';
+        let body = null;
+
+        this.rules.forEach((rule, index) => {
+            if (!ReplacementRulesStore.appliesTo(rule, chapter.url, novelTitle)) return;
+
+            if (rule.scope !== 'body') {
+                const result = ReplacementRulesStore.replaceText(title, rule);
+                title = result.text;
+                counts[index] += result.count;
+            }
+
+            if (rule.scope !== 'title' && chapter.content) {
+                body = body || Utils.parseHTML(chapter.content).body;
+                const walker = body.ownerDocument.createTreeWalker(body, NodeFilter.SHOW_TEXT);
+                let node;
+                while ((node = walker.nextNode())) {
+                    const result = ReplacementRulesStore.replaceText(node.textContent, rule);
+                    if (result.count > 0) {
+                        node.textContent = result.text;
+                        counts[index] += result.count;
+                    }
+                }
+            }
+        });
+
+        const changed = counts.some(count => count > 0);
+        return {
+            title,
+            content: changed && body ? body.innerHTML : chapter.content,
+            counts
+        };
+    }
+
+    /**
+     * Get a copy of a chapter with the rules applied
+     */
+    apply(chapter, novelTitle) {
+        if (this.rules.length === 0) return chapter;
+
+        const { title, content } = this.replaceInChapter(chapter, novelTitle);
+        return Object.assign({}, chapter, { title, content });
+    }
+
+    /**
+     * Count the matches of each rule in each downloaded chapter without changing them
+     * Returns [{ title, counts, total }]
+     */
+    preview(chapters, novelTitle) {
+        return chapters
+            .filter(chapter => chapter.status === 'completed')
+            .map(chapter => {
+                const { counts } = this.replaceInChapter(chapter, novelTitle);
+                return {
+                    title: chapter.title,
+                    counts,
+                    total: counts.reduce((sum, count) => sum + count, 0)
+                };
+            });
+    }
+
+    /**
+     * Replace all matches of a rule in a string
+     * Returns { text, count }
+     */
+    static replaceText(text, rule) {
+        const pattern = ReplacementRulesStore.compile(rule);
+        if (rule.wholeWord) {
+            return ReplacementRulesStore.replaceWholeWords(text, rule, pattern);
+        }
+
+        const matches = text.match(pattern);
+        if (!matches) return { text, count: 0 };
+
+        // Plain rules insert the replacement literally, regex rules may use $1 and friends
+        const replacement = rule.regex ? rule.replace : () => rule.replace;
+        return { text: text.replace(pattern, replacement), count: matches.length };
+    }
+
+    /**
+     * Replace the matches of a whole-word rule that do not follow a letter or digit
+     * The start of the word is checked here because older iOS WebViews have no regex lookbehind
+     */
+    static replaceWholeWords(text, rule, pattern) {
+        let result = '';
+        let position = 0;
+        let count = 0;
+        let match;
+
+        while ((match = pattern.exec(text))) {
+            const before = Array.from(text.slice(Math.max(0, match.index - 2), match.index)).pop() || '';
+            if (match[0] === '' || ReplacementRulesStore.WORD_CHARACTER.test(before)) {
+                // Try again from the next character, as a lookbehind would
+                pattern.lastIndex = match.index + 1;
+                continue;
+            }
+
+            result += text.slice(position, match.index) +
+                (rule.regex ? ReplacementRulesStore.expandReplacement(rule.replace, match) : rule.replace);
+            position = match.index + match[0].length;
+            count++;
+        }
+
+        return count > 0 ? { text: result + text.slice(position), count } : { text, count: 0 };
+    }
+
+    /**
+     * Expand $&, $1, $<name> and the other replacement patterns for one match
+     */
+    static expandReplacement(template, match) {
+        return template.replace(/\$(?:(\$)|(&)|(`)|(')|(\d{1,2})|<([^>]*)>)/g, (token, dollar, whole, prefix, suffix, number, name) => {
+            if (dollar) return '$';
+            if (whole) return match[0];
+            if (prefix) return match.input.slice(0, match.index);
+            if (suffix) return match.input.slice(match.index + match[0].length);
+            if (name !== undefined) return match.groups ? (match.groups[name] || '') : token;
+
+            // "$12" means group 12 when there is one, otherwise group 1 followed by "2"
+            const index = parseInt(number, 10);
+            if (index >= 1 && index < match.length) return match[index] || '';
+            const single = parseInt(number[0], 10);
+            if (number.length === 2 && single >= 1 && single < match.length) return (match[single] || '') + number[1];
+            return token;
+        });
+    }
+
+    /**
+     * Build the RegExp for a rule
+     */
+    static compile(rule) {
+        const source = rule.regex ? rule.find : rule.find.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const flags = 'g' + (rule.caseSensitive ? '' : 'i');
+
+        // \b only knows ASCII letters, so word boundaries are spelled out with Unicode classes;
+        // the start of the word is checked by replaceWholeWords
+        if (rule.wholeWord) {
+            return new RegExp(`(?:${source})(?![\\p{L}\\p{N}_])`, flags + 'u');
+        }
+        return new RegExp(source, flags);
+    }
+
+    /**
+     * Keep only known fields with valid values
+     */
+    static normalizeRule(rule) {
+        const value = rule && typeof rule === 'object' ? rule : {};
+        return {
+            find: typeof value.find === 'string' ? value.find : '',
+            replace: typeof value.replace === 'string' ? value.replace : '',
+            regex: !!value.regex,
+            caseSensitive: !!value.caseSensitive,
+            wholeWord: !!value.wholeWord,
+            scope: ['title', 'body', 'both'].includes(value.scope) ? value.scope : 'both',
+            site: SiteRulesStore.normalizeDomain(value.site),
+            novel: Utils.cleanText(value.novel || ''),
+            enabled: value.enabled !== false
+        };
+    }
+}
+
+ReplacementRulesStore.STORAGE_KEY = 'webToEpub.replacements';
+
+// Characters that continue a word for whole-word rules
+ReplacementRulesStore.WORD_CHARACTER = /[\p{L}\p{N}_]/u;
+
+// Export for use in other modules
+window.ReplacementRulesStore = ReplacementRulesStore;
@@ -0,0 +1,118 @@
+/**
+ * Scene breaks module for WebToEpub web application
+ * Finds the many ways sites mark scene breaks and replaces them with one styled marker
+ */
+
+class SceneBreaks {
+    /**
+     * Replace scene break paragraphs, horizontal rules and spacer paragraphs
+     * among the top-level blocks of a content element
+     * Returns the number of breaks found
+     */
+    static apply(content) {
+        // Look through single wrapper elements to reach the paragraphs
+        while (content.children.length === 1 && /^(DIV|SECTION|ARTICLE)$/.test(content.firstElementChild.tagName)) {
+            content = content.firstElementChild;
+        }
+
+        const blocks = Array.from(content.children);
+        const breaks = new Set(blocks.filter(block =>
+            block.tagName === 'HR' || (SceneBreaks.isBlock(block) && SceneBreaks.isBreakText(block.textContent))
+        ));
+        SceneBreaks.findSpacerBreaks(blocks).forEach(run => {
+            // A run of spacers becomes one break, or none when it pads a marked break
+            const padsBreak = breaks.has(run[0].previousElementSibling) || breaks.has(run[run.length - 1].nextElementSibling);
+            if (!padsBreak) {
+                breaks.add(run[0]);
+            }
+            run.slice(padsBreak ? 0 : 1).forEach(block => block.remove());
+        });
+
+        breaks.forEach(block => block.replaceWith(SceneBreaks.createMarker(content.ownerDocument)));
+        return breaks.size;
+    }
+
+    /**
+     * Check whether a paragraph's text is a scene break such as "***", "◇◇◇", "~~~" or "-x-"
+     */
+    static isBreakText(text) {
+        const value = text.trim();
+        if (!value || value.length > SceneBreaks.MAX_LENGTH) return false;
+        return SceneBreaks.BREAK_PATTERNS.some(pattern => pattern.test(value));
+    }
+
+    /**
+     * Find runs of empty spacer paragraphs that separate scenes
+     * Sites that put a spacer between every paragraph use them for spacing,
+     * in which case only runs longer than usual count as breaks
+     */
+    static findSpacerBreaks(blocks) {
+        const runs = [];
+        let run = [];
+        let seenText = false;
+
+        // Only runs with text on both sides count, so padding at either end of the chapter is ignored
+        blocks.forEach(block => {
+            if (SceneBreaks.isSpacer(block)) {
+                if (seenText) run.push(block);
+                return;
+            }
+            if (run.length > 0) runs.push(run);
+            run = [];
+            seenText = seenText || !!block.textContent.trim();
+        });
+
+        const textBlocks = blocks.filter(block => block.textContent.trim()).length;
+        if (runs.length <= Math.max(2, textBlocks * SceneBreaks.MAX_SPACER_SHARE)) {
+            return runs;
+        }
+
+        const usual = Math.min(...runs.map(spacers => spacers.length));
+        return runs.filter(spacers => spacers.length > usual);
+    }
+
+    /**
+     * Check whether a block is an empty paragraph holding at most line breaks
+     */
+    static isSpacer(block) {
+        return SceneBreaks.isBlock(block) &&
+            !block.textContent.trim() &&
+            !block.querySelector('img, table, hr, svg');
+    }
+
+    /**
+     * Check whether an element is a paragraph-like block
+     */
+    static isBlock(element) {
+        return /^(P|DIV|CENTER|H[1-6])$/.test(element.tagName);
+    }
+
+    /**
+     * Create the scene break marker used in the book
+     */
+    static createMarker(doc) {
+        const marker = doc.createElement('p');
+        marker.className = 'scene-break';
+        marker.textContent = SceneBreaks.MARKER;
+        return marker;
+    }
+}
+
+// Paragraphs made only of these are scene breaks: "***", "* * *", "◇◇◇", "~~~", "==="
+// and letter separators such as "-x-", "~o~", "x-x-x" or "oOo"
+SceneBreaks.BREAK_PATTERNS = [
+    /^[\s*＊•·・◇◆◈○●□■△▲▽▼☆★♦♢✦✧✿❀❖※§~～〜=＝#＃+\-–—_]+$/u,
+    /^(?=.*[\-–—~～=*])[\s\-–—~～=*]*[xo0](?:[\s\-–—~～=*]+[xo0])*[\s\-–—~～=*]*$/i,
+    /^(?:o0o|oOo|xXx|x{3,})$/i
+];
+
+// Longer paragraphs are never breaks, whatever they contain
+SceneBreaks.MAX_LENGTH = 40;
+
+// Spacers are breaks only when there are fewer runs than this share of the text paragraphs
+SceneBreaks.MAX_SPACER_SHARE = 0.1;
+
+SceneBreaks.MARKER = '* * *';
+
+// Export for use in other modules
+window.SceneBreaks = SceneBreaks;
@@ -0,0 +1,197 @@
+/**
+ * Site rules module for WebToEpub web application
+ * Stores user-defined site parsing rules in localStorage
+ */
+
+class SiteRulesStore {
+    constructor() {
+        this.rules = this.load();
+    }
+
+    /**
+     * Rule fields that hold a single CSS selector or pattern
+     */
+    static get TEXT_FIELDS() {
+        return [
+            'titleSelector',
+            'authorSelector',
+            'contentSelector',
+            'coverSelector',
+            'descriptionSelector',
+            'chapterTitleSelector',
+            'tocPagerSelector',
+            'nextChapterSelector',
+            'chapterPartSelector',
+            'volumeSelector',
+            'storyUrlPattern'
+        ];
+    }
+
+    /**
+     * Rule fields that hold a list of CSS selectors
+     */
+    static get LIST_FIELDS() {
+        return ['chapterSelectors', 'removeSelectors', 'authorNoteSelectors'];
+    }
+
+    /**
+     * Load saved rules from localStorage
+     */
+    load() {
+        try {
+            const saved = localStorage.getItem(SiteRulesStore.STORAGE_KEY);
+            return saved ? SiteRulesStore.normalizeRulePack(JSON.parse(saved), { skipInvalid: true }) : {};
+        } catch (e) {
+            console.warn('Could not load site rules:', e);
+            return {};
+        }
+    }
+
+    /**
+     * Persist rules to localStorage
+     */
+    save() {
+        try {
+            localStorage.setItem(SiteRulesStore.STORAGE_KEY, JSON.stringify(this.rules));
+        } catch (e) {
+            console.warn('Could not save site rules:', e);
+        }
+    }
+
+    /**
+     * Get the user rules for a hostname, or null
+     */
+    getRules(hostname) {
+        return this.rules[SiteRulesStore.normalizeDomain(hostname)] || null;
+    }
+
+    /**
+     * Get the domains that have user rules
+     */
+    getDomains() {
+        return Object.keys(this.rules).sort();
+    }
+
+    /**
+     * Add or replace the rules for a domain
+     */
+    setRules(domain, rules) {
+        const key = SiteRulesStore.normalizeDomain(domain);
+        if (!key) {
+            throw new Error('A domain is required');
+        }
+        if (!SiteRulesStore.isValidDomain(key)) {
+            throw new Error(`"${key}" is not a valid domain`);
+        }
+
+        this.rules[key] = SiteRulesStore.normalizeRules(rules);
+        this.save();
+        return key;
+    }
+
+    /**
+     * Delete the rules for a domain
+     */
+    deleteRules(domain) {
+        delete this.rules[SiteRulesStore.normalizeDomain(domain)];
+        this.save();
+    }
+
+    /**
+     * Export all user rules as a JSON rule pack
+     */
+    exportJson() {
+        return JSON.stringify(this.rules, null, 2);
+    }
+
+    /**
+     * Import a JSON rule pack, merging it over the existing rules
+     * Returns the number of domains imported
+     */
+    importJson(json) {
+        let data;
+        try {
+            data = JSON.parse(json);
+        } catch (e) {
+            throw new Error(`Invalid JSON: ${e.message}`);
+        }
+
+        const imported = SiteRulesStore.normalizeRulePack(data);
+        Object.assign(this.rules, imported);
+        this.save();
+
+        return Object.keys(imported).length;
+    }
+
+    /**
+     * Validate and clean a { domain: rules } object
+     * With skipInvalid, entries with a bad domain or rules are dropped instead of failing the whole pack
+     */
+    static normalizeRulePack(data, { skipInvalid = false } = {}) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('A rule pack must be an object keyed by domain');
+        }
+
+        const pack = {};
+        Object.entries(data).forEach(([domain, rules]) => {
+            const key = SiteRulesStore.normalizeDomain(domain);
+            if (!SiteRulesStore.isValidDomain(key) || !rules || typeof rules !== 'object') {
+                if (!skipInvalid) {
+                    throw new Error(`Invalid rules for "${domain}"`);
+                }
+                console.warn(`Dropping invalid site rules for "${domain}"`);
+                return;
+            }
+            pack[key] = SiteRulesStore.normalizeRules(rules);
+        });
+
+        return pack;
+    }
+
+    /**
+     * Keep only known fields, trimmed, dropping empty values
+     */
+    static normalizeRules(rules) {
+        const normalized = {};
+
+        SiteRulesStore.TEXT_FIELDS.forEach(field => {
+            const value = typeof rules[field] === 'string' ? rules[field].trim() : '';
+            if (value) {
+                normalized[field] = value;
+            }
+        });
+
+        SiteRulesStore.LIST_FIELDS.forEach(field => {
+            const value = typeof rules[field] === 'string' ? rules[field].split('\n') : rules[field];
+            if (Array.isArray(value)) {
+                const list = value.map(item => String(item).trim()).filter(Boolean);
+                if (list.length > 0) {
+                    normalized[field] = list;
+                }
+            }
+        });
+
+        return normalized;
+    }
+
+    /**
+     * Reduce a domain or URL to the hostname key used for rules
+     */
+    static normalizeDomain(domain) {
+        const value = String(domain || '').trim().toLowerCase();
+        const hostname = /^[a-z]+:\/\//.test(value) ? Utils.getDomain(value) : value.split('/')[0];
+        return hostname.replace(/^www\./, '');
+    }
+
+    /**
+     * Check that a normalized key is a hostname with at least one dot
+     */
+    static isValidDomain(key) {
+        return /^[a-z0-9.-]+$/.test(key) && key.includes('.');
+    }
+}
+
+SiteRulesStore.STORAGE_KEY = 'webToEpub.siteRules';
+
+// Export for use in other modules
+window.SiteRulesStore = SiteRulesStore;
@@ -0,0 +1,115 @@
+/**
+ * Chapter title normalizer module for WebToEpub web application
+ * Strips chapter number prefixes and the novel title from chapter titles,
+ * and optionally rebuilds them from a template
+ */
+
+class ChapterTitleNormalizer {
+    /**
+     * Normalize a chapter title
+     * options: { novelTitle, template, position } where template may use
+     * {n} (chapter number, or position when the title has none), {index} (position) and {title}
+     */
+    static normalize(title, options = {}) {
+        const position = options.position || 0;
+        const withoutNovel = ChapterTitleNormalizer.removeNovelTitle(Utils.cleanText(title), options.novelTitle);
+        const { number, rest } = ChapterTitleNormalizer.splitPrefix(withoutNovel);
+        const n = number !== null ? number : position;
+
+        let result = rest;
+        if (options.template) {
+            // Function replacements keep "$" in scraped titles literal
+            result = options.template
+                .replace(/\{n\}/g, () => n)
+                .replace(/\{index\}/g, () => position)
+                .replace(/\{title\}/g, () => rest);
+            // A prefix-only title leaves the template's separator dangling
+            result = Utils.cleanText(result).replace(/[\s:：.\-–—|]+$/, '');
+        }
+
+        return result || `Chapter ${n}`;
+    }
+
+    /**
+     * Split a leading chapter number prefix from a title
+     * Returns { number, rest }; number is null when there is no prefix
+     */
+    static splitPrefix(title) {
+        for (const pattern of ChapterTitleNormalizer.PREFIX_PATTERNS) {
+            const match = title.match(pattern);
+            if (match) {
+                const number = ChapterTitleNormalizer.parseNumber(match[1]);
+                if (number !== null) {
+                    return { number, rest: title.slice(match[0].length).trim() };
+                }
+            }
+        }
+
+        return { number: null, rest: title };
+    }
+
+    /**
+     * Remove the novel title when it is repeated at the start or end of a chapter title
+     */
+    static removeNovelTitle(title, novelTitle) {
+        const novel = Utils.cleanText(novelTitle || '');
+        if (!novel || novel.length >= title.length) return title;
+
+        const escaped = novel.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const separator = '[\\s:：\\-–—|]+';
+        return title
+            .replace(new RegExp(`^${escaped}${separator}`, 'i'), '')
+            .replace(new RegExp(`${separator}${escaped}$`, 'i'), '')
+            .trim();
+    }
+
+    /**
+     * Parse Arabic, full-width or Chinese numerals; decimals such as "12.5" are kept
+     */
+    static parseNumber(text) {
+        const value = String(text).trim().replace(/[０-９]/g, digit => String.fromCharCode(digit.charCodeAt(0) - 0xFEE0));
+
+        if (/^\d+(\.\d+)?$/.test(value)) {
+            return Number(value);
+        }
+
+        const digits = { '零': 0, '〇': 0, '一': 1, '二': 2, '两': 2, '兩': 2, '三': 3, '四': 4, '五': 5, '六': 6, '七': 7, '八': 8, '九': 9 };
+        const units = { '十': 10, '百': 100, '千': 1000, '万': 10000, '萬': 10000 };
+        if (!/^[零〇一二两兩三四五六七八九十百千万萬]+$/.test(value)) {
+            return null;
+        }
+
+        let total = 0;
+        let section = 0;
+        let digit = null;
+        for (const char of value) {
+            if (char in digits) {
+                digit = digits[char];
+            } else if (char === '万' || char === '萬') {
+                total += (section + (digit || 0)) * units[char];
+                section = 0;
+                digit = null;
+            } else {
+                // "十二" means 12, so a unit without a digit counts once
+                section += (digit === null ? 1 : digit) * units[char];
+                digit = null;
+            }
+        }
+
+        return total + section + (digit || 0);
+    }
+}
+
+ChapterTitleNormalizer.PREFIX_PATTERNS = [
+    // Chapter 12: / Ch. 012 - / Episode 5 / Chapter 12.5
+    /^(?:chapter|chap|ch|episode|ep)\.?\s*(\d+(?:\.\d+)?)(?:\s*[:：.\-–—)]\s*|\s+|$)/i,
+    // 第12章 / 第十二话 / 第3回
+    /^第\s*([0-9０-９零〇一二两兩三四五六七八九十百千万萬]+)\s*[章话話回节節]\s*[:：\-–—]?\s*/,
+    // 제12화 / 12화
+    /^제?\s*(\d+)\s*[화장]\s*[:：\-–—]?\s*/,
+    // 12. Title / 12 - Title
+    /^(\d+(?:\.\d+)?)\s*(?:[:：.)]|\s[\-–—])\s*/
+];
+
+// Export for use in other modules
+window.ChapterTitleNormalizer = ChapterTitleNormalizer;
@@ -0,0 +1,171 @@
+/**
+ * Typography module for WebToEpub web application
+ * Replaces the typewriter punctuation of scraped text with the typographic forms of the book's language
+ */
+
+class Typography {
+    /**
+     * Convert quotes for the language, join dashes and ellipses, normalize to NFC,
+     * turn full-width punctuation in Latin text into ASCII and add non-breaking spaces
+     * Text inside code, pre, kbd and samp is left alone
+     */
+    static apply(root, language) {
+        const tag = String(language || 'en').toLowerCase().replace(/_/g, '-');
+        const primary = tag.split('-')[0];
+        const quotes = Typography.QUOTES[tag] || Typography.QUOTES[primary] || Typography.QUOTES.en;
+
+        const walker = root.ownerDocument.createTreeWalker(root, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT, {
+            acceptNode: (node) => node.nodeType === Node.ELEMENT_NODE && node.matches(Typography.SKIP_SELECTOR)
+                ? NodeFilter.FILTER_REJECT
+                : NodeFilter.FILTER_ACCEPT
+        });
+
+        // Quotes open or close depending on the character before them, which may sit
+        // in the previous text node of the same line, e.g. before an <em>
+        // None of the patterns use lookbehind, which older iOS WebViews cannot parse
+        let previous = '';
+        let state = { singleOpen: false };
+        let block = null;
+        let node;
+        while ((node = walker.nextNode())) {
+            if (node.nodeType === Node.ELEMENT_NODE) {
+                if (!InlineFormatting.isInline(node)) {
+                    previous = '';
+                    state = { singleOpen: false };
+                }
+                continue;
+            }
+
+            const nodeBlock = Typography.getBlock(node, root);
+            if (nodeBlock !== block) {
+                block = nodeBlock;
+                previous = '';
+                state = { singleOpen: false };
+            }
+
+            let text = Typography.convertFullWidth(node.textContent.normalize('NFC'))
+                .replace(/\.\.\.|\. \. \./g, '…')
+                .replace(/-{2,}/g, dashes => (dashes.length <= 3 ? '—' : dashes))
+                .replace(/(\S) - (?=\S)/g, '$1 – ')
+                .replace(/ {2,}/g, ' ');
+            text = Typography.convertQuotes(text, previous, quotes, state);
+            if (primary === 'fr') {
+                text = Typography.addFrenchSpacing(text);
+            }
+
+            if (text !== node.textContent) {
+                node.textContent = text;
+            }
+            if (text) {
+                previous = text[text.length - 1];
+            }
+        }
+    }
+
+    /**
+     * Find the block element a text node belongs to
+     */
+    static getBlock(node, root) {
+        let element = node.parentElement;
+        while (element && element !== root && InlineFormatting.isInline(element)) {
+            element = element.parentElement;
+        }
+        return element;
+    }
+
+    /**
+     * Replace straight quotes with the language's opening and closing quotes
+     * A quote opens at the start of a line, after a space, a bracket, a dash or another opening quote
+     * state.singleOpen tracks an open single quote across the text nodes of a line
+     */
+    static convertQuotes(text, previous, quotes, state = { singleOpen: false }) {
+        return text.replace(/["']/g, (mark, offset) => {
+            const before = offset > 0 ? text[offset - 1] : previous;
+            const after = text[offset + 1] || '';
+            const opening = !before || Typography.OPENING_CONTEXT.test(before);
+
+            if (mark === '"') return opening ? quotes[0] : quotes[1];
+
+            // Apostrophes inside words ("don't"), after words with no quote open ("Hans' Buch")
+            // and before years ("'90s")
+            if (!opening && /[\p{L}\p{N}]/u.test(before) && (/\p{L}/u.test(after) || !state.singleOpen)) return '’';
+            if (opening && /\d/.test(after)) return '’';
+
+            state.singleOpen = opening;
+            return opening ? quotes[2] : quotes[3];
+        });
+    }
+
+    /**
+     * Turn full-width letters, digits and punctuation into ASCII in text written in Latin script
+     * Text with any Chinese, Japanese or Korean characters keeps its full-width forms
+     */
+    static convertFullWidth(text) {
+        if (!/[\uFF01-\uFF5E\u3000-\u3002]/.test(text) ||
+            !/\p{Script=Latin}/u.test(text) ||
+            /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u.test(text)) {
+            return text;
+        }
+
+        return text.replace(/[\uFF01-\uFF5E\u3000-\u3002]/g, (character, offset) => {
+            const ascii = Typography.FULL_WIDTH[character] || String.fromCharCode(character.charCodeAt(0) - 0xFEE0);
+
+            // Full-width punctuation carries its own spacing, so add the space it stood for
+            const spaced = /[，。、！？：；]/.test(character) && /\p{L}/u.test(text[offset + 1] || '');
+            return spaced ? `${ascii} ` : ascii;
+        });
+    }
+
+    /**
+     * Put non-breaking spaces inside guillemets and before two-part punctuation, as French typesetting does
+     */
+    static addFrenchSpacing(text) {
+        return text
+            .replace(/([«‹])[ \u00A0\u202F]?(?=\S)/g, '$1\u00A0')
+            .replace(/([^\s«‹])[ \u00A0\u202F]?([»›])/g, '$1\u00A0$2')
+            .replace(/([^\s«‹:;!?])[ \u00A0\u202F]?([;!?])/g, '$1\u00A0$2')
+            .replace(/([^\s«‹:;!?])[ \u00A0\u202F]?:(?=\s|$)/g, '$1\u00A0:');
+    }
+}
+
+// Opening and closing double quotes, then single quotes, by language tag or primary language
+Typography.QUOTES = {
+    en: '“”‘’',
+    nl: '“”‘’',
+    pt: '“”‘’',
+    ko: '“”‘’',
+    zh: '“”‘’',
+    'zh-tw': '「」『』',
+    'zh-hk': '「」『』',
+    'zh-hant': '「」『』',
+    ja: '「」『』',
+    de: '„“‚‘',
+    cs: '„“‚‘',
+    pl: '„”«»',
+    fr: '«»‹›',
+    es: '«»“”',
+    it: '«»“”',
+    ru: '«»„“',
+    uk: '«»„“',
+    nb: '«»‘’',
+    no: '«»‘’',
+    da: '»«›‹',
+    sv: '””’’',
+    fi: '””’’'
+};
+
+// Characters after which a quote opens rather than closes
+Typography.OPENING_CONTEXT = /[\s([{\-–—"“„‘‚«‹「『：]/;
+
+// Full-width characters that are not a fixed offset from their ASCII forms
+Typography.FULL_WIDTH = {
+    '\u3000': ' ',
+    '、': ',',
+    '。': '.'
+};
+
+// Code and preformatted text keep every character as written
+Typography.SKIP_SELECTOR = 'code, pre, kbd, samp';
+
+// Export for use in other modules
+window.Typography = Typography;
@@ -0,0 +1,20 @@
+/**
+ * Site adapter for royalroad.com
+ */
+
+class RoyalRoadAdapter extends SiteAdapter {
+    constructor() {
+        super(['royalroad.com'], {
+            titleSelector: '.fic-title h1',
+            authorSelector: '.author-name',
+            chapterSelectors: ['.chapter-row a'],
+            contentSelector: '.chapter-content',
+            authorNoteSelectors: ['.author-note-portlet', '.author-note']
+        });
+    }
+}
+
+SiteAdapterRegistry.register(new RoyalRoadAdapter());
+
+// Export for use in other modules
+window.RoyalRoadAdapter = RoyalRoadAdapter;
@@ -0,0 +1,91 @@
+/**
+ * Site adapter base class and registry for WebToEpub web application
+ * A site adapter describes how to parse one site. The default hooks run the
+ * generic selector-based parsing, so adapters only override what they need.
+ */
+
+class SiteAdapter {
+    /**
+     * @param {string[]} domains - Hostnames handled by the adapter (subdomains included)
+     * @param {Object} rules - Selector map used by the generic parsing hooks
+     */
+    constructor(domains = [], rules = {}) {
+        this.domains = domains;
+        this.rules = rules;
+    }
+
+    /**
+     * Check whether this adapter handles a URL
+     */
+    matches(url) {
+        const hostname = Utils.getDomain(url).replace(/^www\./, '');
+        return this.domains.some(domain => hostname === domain || hostname.endsWith(`.${domain}`));
+    }
+
+    /**
+     * Extract title, author, description and cover into parser.metaInfo
+     */
+    async extractMetadata(dom, url, parser, siteRules) {
+        parser.extractMetadata(dom, url, siteRules);
+        return parser.metaInfo;
+    }
+
+    /**
+     * Extract the chapter list from a table of contents page
+     */
+    async extractChapterList(dom, url, parser, siteRules) {
+        return parser.extractChapters(dom, url, siteRules);
+    }
+
+    /**
+     * Extract a chapter's content from its page
+     * Resolves to { content, partUrls, nextChapterUrl }
+     */
+    async extractChapterContent(dom, url, parser, siteRules, options = {}) {
+        return parser.extractStitchedContent(dom, url, siteRules, options.forceRefresh, this);
+    }
+
+    /**
+     * Remove site-specific clutter from a chapter's content element
+     */
+    cleanup(element, parser, siteRules) {
+        (siteRules.removeSelectors || []).forEach(selector => {
+            try {
+                element.querySelectorAll(selector).forEach(el => el.remove());
+            } catch (e) {
+                console.warn('Invalid remove selector:', selector, e);
+            }
+        });
+    }
+}
+
+class SiteAdapterRegistry {
+    /**
+     * Register an adapter; later registrations take precedence
+     */
+    static register(adapter) {
+        SiteAdapterRegistry.adapters.unshift(adapter);
+    }
+
+    /**
+     * Find the adapter for a URL, falling back to the generic adapter
+     */
+    static find(url) {
+        return SiteAdapterRegistry.adapters.find(adapter => adapter.matches(url)) ||
+            SiteAdapterRegistry.genericAdapter;
+    }
+
+    /**
+     * Get all registered adapters
+     */
+    static getAll() {
+        return SiteAdapterRegistry.adapters.slice();
+    }
+}
+
+SiteAdapterRegistry.adapters = [];
+SiteAdapterRegistry.genericAdapter = new SiteAdapter();
+
+// Export for use in other modules
+window.SiteAdapter = SiteAdapter;
+window.SiteAdapterRegistry = SiteAdapterRegistry;
@@ -0,0 +1,106 @@
+/**
+ * Boilerplate module for WebToEpub web application
+ * Finds lines a site repeats in every chapter and anti-theft watermarks
+ */
+
+class BoilerplateDetector {
+    /**
+     * Find paragraphs that look like site boilerplate across downloaded chapters
+     * Returns [{ key, text, count, watermark }], most frequent first
+     */
+    static findCandidates(chapters) {
+        const completed = chapters.filter(chapter => chapter.status === 'completed' && chapter.content);
+        const candidates = new Map();
+
+        completed.forEach(chapter => {
+            // Count each line once per chapter, however often it appears in it
+            const seen = new Set();
+            BoilerplateDetector.getBlocks(Utils.parseHTML(chapter.content).body).forEach(block => {
+                const text = Utils.cleanText(block.textContent);
+                const key = BoilerplateDetector.getKey(text);
+                if (!key || seen.has(key)) return;
+                seen.add(key);
+
+                if (!candidates.has(key)) {
+                    candidates.set(key, { key, text, count: 0, watermark: BoilerplateDetector.isWatermark(text) });
+                }
+                candidates.get(key).count++;
+            });
+        });
+
+        const minCount = Math.max(BoilerplateDetector.MIN_CHAPTERS, Math.ceil(completed.length * BoilerplateDetector.MIN_SHARE));
+        return Array.from(candidates.values())
+            .filter(candidate => candidate.watermark || (completed.length >= BoilerplateDetector.MIN_CHAPTERS && candidate.count >= minCount))
+            .sort((a, b) => b.count - a.count);
+    }
+
+    /**
+     * Remove the paragraphs matching any of the given keys from chapter HTML
+     * Returns { content, removed }
+     */
+    static remove(html, keys) {
+        const body = Utils.parseHTML(html).body;
+        let removed = 0;
+
+        BoilerplateDetector.getBlocks(body).forEach(block => {
+            if (keys.has(BoilerplateDetector.getKey(Utils.cleanText(block.textContent)))) {
+                block.remove();
+                removed++;
+            }
+        });
+
+        return { content: removed > 0 ? body.innerHTML : html, removed };
+    }
+
+    /**
+     * Get the innermost text blocks of a chapter
+     */
+    static getBlocks(root) {
+        return Array.from(root.querySelectorAll(BoilerplateDetector.BLOCK_SELECTOR))
+            .filter(block => !block.querySelector(BoilerplateDetector.BLOCK_SELECTOR));
+    }
+
+    /**
+     * Build the key a line is matched by
+     * Numbers are ignored so "Read chapter 12 at ..." matches across chapters;
+     * lines without words (scene breaks) and long paragraphs never qualify
+     */
+    static getKey(text) {
+        if (text.length < BoilerplateDetector.MIN_LENGTH || text.length > BoilerplateDetector.MAX_LENGTH) return null;
+        if (!/\p{L}{2,}/u.test(text)) return null;
+        return text.toLowerCase().replace(/\d+/g, '#');
+    }
+
+    /**
+     * Check a line against known anti-theft and "read it elsewhere" phrases
+     */
+    static isWatermark(text) {
+        return BoilerplateDetector.WATERMARK_PATTERNS.some(pattern => pattern.test(text));
+    }
+}
+
+BoilerplateDetector.BLOCK_SELECTOR = 'p, div, blockquote, li, h1, h2, h3, h4, h5, h6';
+
+// A line must appear in this share of chapters, and at least MIN_CHAPTERS of them
+BoilerplateDetector.MIN_SHARE = 0.5;
+BoilerplateDetector.MIN_CHAPTERS = 3;
+
+// Lines outside this length range are story text or decoration, not boilerplate
+BoilerplateDetector.MIN_LENGTH = 10;
+BoilerplateDetector.MAX_LENGTH = 300;
+
+// Phrases sites inject to mark copied chapters or send readers back to them
+// Naming a site alone is not enough, since author notes and story text may mention it
+BoilerplateDetector.WATERMARK_PATTERNS = [
+    /\broyal\s*road\b.{0,60}\b(?:stolen|taken|lifted|pirated|misappropriated|report(?:ed)?)\b|\b(?:stolen|taken|lifted|pirated|misappropriated|report(?:ed)?)\b.{0,60}\broyal\s*road\b/i,
+    /\bamazon\b.*\breport\b|\breport\b.*\bamazon\b/i,
+    /\b(?:unauthori[sz]ed|illicitly|unlawfully) (?:taken|obtained|used|reproduced|copied|lifted|published)\b/i,
+    /\bwithout the author'?s (?:consent|permission)\b/i,
+    /\b(?:read|find)\b.{0,40}\b(?:latest|original|newest|next|advance)\b.{0,40}\b(?:at|on)\s+\S+\.(?:com|net|org|io|co)\b/i,
+    /\b(?:discord\.gg|patreon\.com|ko-fi\.com)\b/i,
+    /\b(?:join|support) (?:me|us|our|my)\b.{0,40}\b(?:discord|patreon|ko-fi)\b/i,
+    /最新章节|首发域名|记住本站|本书首发|手机版阅读网址/
+];
+
+// Export for use in other modules
+window.BoilerplateDetector = BoilerplateDetector;
@@ -0,0 +1,190 @@
+/**
+ * Content extractor module for WebToEpub web application
+ * Scores page elements to find the main text when no content selector matches
+ */
+
+class ContentExtractor {
+    /**
+     * Find the element most likely to hold the chapter text
+     * Returns { element, confidence } with confidence between 0 and 1,
+     * or null if the page has no usable text
+     */
+    static extract(dom) {
+        const body = dom.body || dom.documentElement;
+        if (!body) return null;
+
+        const scores = ContentExtractor.scoreCandidates(body);
+        if (scores.size === 0) return null;
+
+        // Rank candidates by score, discounted by how much of their text is links
+        const ranked = Array.from(scores.entries())
+            .map(([element, score]) => ({
+                element,
+                score: score * (1 - ContentExtractor.getLinkDensity(element))
+            }))
+            .sort((a, b) => b.score - a.score);
+
+        const top = ranked[0];
+        const element = ContentExtractor.mergeSiblings(dom, top.element, top.score, scores);
+
+        // The runner-up must be a separate part of the page, not a parent or child of the winner
+        const runnerUp = ranked.find(candidate =>
+            candidate.element !== top.element &&
+            !candidate.element.contains(top.element) &&
+            !top.element.contains(candidate.element)
+        );
+
+        return {
+            element,
+            confidence: ContentExtractor.getConfidence(element, top.score, runnerUp ? runnerUp.score : 0)
+        };
+    }
+
+    /**
+     * Score block elements by the paragraphs they contain
+     * Each paragraph adds its score to its parent and half of it to its grandparent
+     */
+    static scoreCandidates(root) {
+        const scores = new Map();
+        const paragraphs = root.querySelectorAll('p, pre, td, blockquote, div, section, article');
+
+        paragraphs.forEach(paragraph => {
+            if (ContentExtractor.isUnlikelyCandidate(paragraph)) return;
+
+            // Only divs without block children count as paragraphs
+            const tag = paragraph.tagName.toLowerCase();
+            if (['div', 'section', 'article'].includes(tag) &&
+                paragraph.querySelector('p, div, section, article, table, ul, ol, pre, blockquote')) {
+                return;
+            }
+
+            const text = Utils.cleanText(paragraph.textContent);
+            if (text.length < 25) return;
+
+            // One point per paragraph, per comma and per 100 characters (max 3)
+            const commas = (text.match(/[,，、]/g) || []).length;
+            const paragraphScore = 1 + commas + Math.min(Math.floor(text.length / 100), 3);
+
+            let ancestor = paragraph.parentElement;
+            for (let level = 0; ancestor && ancestor !== root.parentElement && level < 3; level++) {
+                if (!scores.has(ancestor)) {
+                    scores.set(ancestor, ContentExtractor.getInitialScore(ancestor));
+                }
+                const divider = level === 0 ? 1 : level * 2;
+                scores.set(ancestor, scores.get(ancestor) + paragraphScore / divider);
+                ancestor = ancestor.parentElement;
+            }
+        });
+
+        return scores;
+    }
+
+    /**
+     * Base score of a candidate from its tag, class and id
+     */
+    static getInitialScore(element) {
+        const tagWeights = {
+            article: 10, main: 10, div: 5, section: 3, pre: 3, td: 3, blockquote: 3,
+            form: -3, ol: -3, ul: -3, li: -3, aside: -10, nav: -10,
+            h1: -5, h2: -5, h3: -5, h4: -5, h5: -5, h6: -5, th: -5, header: -5, footer: -10
+        };
+
+        return (tagWeights[element.tagName.toLowerCase()] || 0) + ContentExtractor.getClassWeight(element);
+    }
+
+    /**
+     * Weight an element by content-like or clutter-like class names and ids
+     */
+    static getClassWeight(element) {
+        const positive = /article|body|content|entry|main|page|post|text|blog|story|chapter|novel/i;
+        const negative = /comment|meta|footer|footnote|sidebar|side-bar|widget|nav|menu|header|share|social|related|sponsor|\bads?\b|advert|promo|breadcrumb|pagination|rating|author-?bio/i;
+        let weight = 0;
+
+        [element.className, element.id].forEach(name => {
+            if (typeof name !== 'string' || !name) return;
+            if (negative.test(name)) weight -= 25;
+            if (positive.test(name)) weight += 25;
+        });
+
+        return weight;
+    }
+
+    /**
+     * Check whether an element sits in page chrome that never holds chapter text
+     */
+    static isUnlikelyCandidate(element) {
+        return !!element.closest('nav, header, footer, aside, form, script, style, noscript, [role="navigation"], [role="complementary"]');
+    }
+
+    /**
+     * Share of an element's text that is inside links
+     */
+    static getLinkDensity(element) {
+        const textLength = Utils.cleanText(element.textContent).length;
+        if (textLength === 0) return 0;
+
+        let linkLength = 0;
+        element.querySelectorAll('a').forEach(link => {
+            linkLength += Utils.cleanText(link.textContent).length;
+        });
+
+        return Math.min(linkLength / textLength, 1);
+    }
+
+    /**
+     * Combine the top candidate with siblings that look like part of the same text
+     */
+    static mergeSiblings(dom, topElement, topScore, scores) {
+        const parent = topElement.parentElement;
+        if (!parent) return topElement;
+
+        const threshold = Math.max(10, topScore * 0.2);
+        const merged = [];
+
+        Array.from(parent.children).forEach(sibling => {
+            if (sibling === topElement) {
+                merged.push(sibling);
+                return;
+            }
+
+            const linkDensity = ContentExtractor.getLinkDensity(sibling);
+            const siblingScore = (scores.get(sibling) || 0) * (1 - linkDensity);
+            const text = Utils.cleanText(sibling.textContent);
+            const isProseParagraph = sibling.tagName === 'P' &&
+                ((text.length > 80 && linkDensity < 0.25) || (text.length > 0 && linkDensity === 0 && /[.!?。！？]$/.test(text)));
+
+            if (siblingScore >= threshold || isProseParagraph) {
+                merged.push(sibling);
+            }
+        });
+
+        if (merged.length === 1) return topElement;
+
+        const wrapper = dom.createElement('div');
+        merged.forEach(element => wrapper.appendChild(element.cloneNode(true)));
+        return wrapper;
+    }
+
+    /**
+     * Estimate how sure we are that the element is the chapter text
+     */
+    static getConfidence(element, topScore, runnerUpScore) {
+        const paragraphs = Array.from(element.querySelectorAll('p'))
+            .filter(p => Utils.cleanText(p.textContent).length >= 25).length;
+        const textLength = Utils.cleanText(element.textContent).length;
+
+        const paragraphFactor = Math.min(paragraphs / 8, 1);
+        const lengthFactor = Math.min(textLength / 1500, 1);
+        const linkFactor = 1 - ContentExtractor.getLinkDensity(element);
+        const marginFactor = topScore > 0 ? (topScore - Math.max(runnerUpScore, 0)) / topScore : 0;
+
+        const confidence = 0.35 * paragraphFactor + 0.25 * lengthFactor + 0.2 * linkFactor + 0.2 * marginFactor;
+        return Math.round(confidence * 100) / 100;
+    }
+}
+
+// Chapters extracted below this confidence are flagged in the chapter list
+ContentExtractor.LOW_CONFIDENCE = 0.5;
+
+// Export for use in other modules
+window.ContentExtractor = ContentExtractor;
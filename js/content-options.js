@@ -0,0 +1,87 @@
+/**
+ * Content options module for WebToEpub web application
+ * Holds the chapter ordering and clean-up choices shared by the parser and the EPUB generator
+ */
+
+class ContentOptions {
+    constructor(settings = null) {
+        this.settings = Object.assign(ContentOptions.getDefaultSettings(), settings || ContentOptions.loadSettings());
+    }
+
+    /**
+     * Get default content options
+     */
+    static getDefaultSettings() {
+        return {
+            chapterOrder: 'parsed', // "parsed", "source" or "reversed"
+            volumeTitlePages: false,
+            removeAuthorNotes: false,
+            authorNoteMode: 'remove', // "remove" or "aside" (collapsed at the end of the chapter)
+            removeChapterNumbers: false,
+            chapterTitleTemplate: '', // e.g. "{n}. {title}"; empty just strips the prefix
+            removeOriginal: false,
+            bilingualMode: 'translation', // "translation", "original" or "both" (side by side)
+            typography: false
+        };
+    }
+
+    /**
+     * Load saved content options from localStorage
+     */
+    static loadSettings() {
+        try {
+            const saved = localStorage.getItem(ContentOptions.STORAGE_KEY);
+            return saved ? JSON.parse(saved) : {};
+        } catch (e) {
+            console.warn('Could not load content options:', e);
+            return {};
+        }
+    }
+
+    /**
+     * Update and persist content options
+     */
+    configure(settings) {
+        this.settings = Object.assign(ContentOptions.getDefaultSettings(), this.settings, settings);
+
+        try {
+            localStorage.setItem(ContentOptions.STORAGE_KEY, JSON.stringify(this.settings));
+        } catch (e) {
+            console.warn('Could not save content options:', e);
+        }
+    }
+
+    /**
+     * How author notes should be handled: "keep", "remove" or "aside"
+     */
+    getAuthorNoteMode() {
+        if (!this.settings.removeAuthorNotes) return 'keep';
+        return this.settings.authorNoteMode === 'aside' ? 'aside' : 'remove';
+    }
+
+    /**
+     * How bilingual chapters should be handled: "keep", "translation", "original" or "both"
+     */
+    getBilingualMode() {
+        if (!this.settings.removeOriginal) return 'keep';
+        return ['original', 'both'].includes(this.settings.bilingualMode) ? this.settings.bilingualMode : 'translation';
+    }
+
+    /**
+     * Get the display title of a chapter at a 1-based position in the book
+     */
+    formatChapterTitle(title, novelTitle, position) {
+        if (!this.settings.removeChapterNumbers) return title;
+
+        return ChapterTitleNormalizer.normalize(title, {
+            novelTitle,
+            template: this.settings.chapterTitleTemplate,
+            position
+        });
+    }
+}
+
+ContentOptions.STORAGE_KEY = 'webToEpub.content';
+
+// Export for use in other modules
+window.ContentOptions = ContentOptions;
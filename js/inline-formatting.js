@@ -0,0 +1,230 @@
+/**
+ * Inline formatting module for WebToEpub web application
+ * Turns styled markup into semantic elements and cleans whitespace without losing line breaks
+ */
+
+class InlineFormatting {
+    /**
+     * Convert italic, bold and underlined styles into em, strong and u, centered
+     * text into the "centered" class, and line breaks kept by white-space into br
+     * Styles come from style attributes and from simple ".class" rules of the page
+     * All style attributes are removed afterwards
+     */
+    static apply(root, classStyles = {}) {
+        const doc = root.ownerDocument;
+        const elements = [root, ...root.querySelectorAll('[style], [class], [align]')];
+
+        elements.forEach(element => {
+            const declarations = Object.assign(
+                {},
+                ...Array.from(element.classList).map(name => classStyles[name] || {}),
+                HiddenText.parseDeclarations(element.getAttribute('style'))
+            );
+            const format = InlineFormatting.getFormat(declarations, element);
+
+            if (format.centered && element !== root && !InlineFormatting.isInline(element)) {
+                element.classList.add('centered');
+            }
+            if (format.preservesLines) {
+                InlineFormatting.convertLineBreaks(element);
+            }
+
+            // Wrap the element's children, outermost first: strong > em > u
+            // Inline elements cannot hold paragraphs, so styled containers of blocks are skipped
+            const tags = ['strong', 'em', 'u'].filter(tag => format[tag] && !element.closest(InlineFormatting.SAME_TAGS[tag]));
+            if (tags.length === 0 || element.querySelector(InlineFormatting.BLOCK_SELECTOR)) return;
+
+            // Content that already went through apply keeps its class names, so reuse
+            // a wrapper from that run instead of nesting a second one
+            let target = element;
+            tags.forEach(tag => {
+                const existing = InlineFormatting.getOnlyChild(target);
+                if (existing && existing.localName === tag) {
+                    target = existing;
+                    return;
+                }
+
+                const wrapper = doc.createElement(tag);
+                while (target.firstChild) {
+                    wrapper.appendChild(target.firstChild);
+                }
+                target.appendChild(wrapper);
+                target = wrapper;
+            });
+        });
+
+        root.querySelectorAll('[style]').forEach(element => element.removeAttribute('style'));
+        root.removeAttribute('style');
+        root.querySelectorAll('[align]').forEach(element => element.removeAttribute('align'));
+
+        // Spans with nothing but the site's class names carry no meaning in the book
+        root.querySelectorAll('span').forEach(span => {
+            if (Array.from(span.attributes).every(attribute => attribute.name === 'class')) {
+                span.replaceWith(...span.childNodes);
+            }
+        });
+    }
+
+    /**
+     * Get an element's only child element when it has no text of its own beside it
+     */
+    static getOnlyChild(element) {
+        const children = Array.from(element.childNodes)
+            .filter(node => node.nodeType !== Node.TEXT_NODE || node.textContent.trim());
+        return children.length === 1 && children[0].nodeType === Node.ELEMENT_NODE ? children[0] : null;
+    }
+
+    /**
+     * Work out the formatting an element's declarations and class names ask for
+     */
+    static getFormat(declarations, element) {
+        const classNames = Array.from(element.classList).map(name => name.toLowerCase());
+        const hasClass = (pattern) => classNames.some(name => pattern.test(name));
+        const weight = declarations['font-weight'] || '';
+        const decoration = `${declarations['text-decoration'] || ''} ${declarations['text-decoration-line'] || ''}`;
+        const align = declarations['text-align'] || (element.getAttribute('align') || '').toLowerCase();
+
+        return {
+            em: /^(?:italic|oblique)/.test(declarations['font-style'] || '') || hasClass(InlineFormatting.CLASS_PATTERNS.em),
+            strong: /^(?:bold|bolder|[6-9]00)$/.test(weight) || hasClass(InlineFormatting.CLASS_PATTERNS.strong),
+            u: /\bunderline\b/.test(decoration) || hasClass(InlineFormatting.CLASS_PATTERNS.u),
+            centered: align === 'center' || hasClass(InlineFormatting.CLASS_PATTERNS.centered),
+            preservesLines: /^pre/.test(declarations['white-space'] || '')
+        };
+    }
+
+    /**
+     * Read simple ".class" rules from the page's style sheets
+     * Returns a map of class name to declarations
+     */
+    static getClassStyles(dom) {
+        const classStyles = {};
+        HiddenText.getStyleRules(dom).forEach(rule => {
+            rule.selector.split(',').forEach(selector => {
+                const match = selector.trim().match(/^(?:span|p|div)?\.([\w-]+)$/);
+                if (match) {
+                    classStyles[match[1]] = Object.assign(classStyles[match[1]] || {}, rule.declarations);
+                }
+            });
+        });
+        return classStyles;
+    }
+
+    /**
+     * Replace newlines in text with br elements, as white-space: pre-line would show them
+     */
+    static convertLineBreaks(element) {
+        const walker = element.ownerDocument.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+        const nodes = [];
+        let node;
+        while ((node = walker.nextNode())) {
+            if (node.textContent.includes('\n') && !node.parentElement.closest('pre')) {
+                nodes.push(node);
+            }
+        }
+
+        nodes.forEach(textNode => {
+            const lines = textNode.textContent.replace(/^\n+|\n+$/g, '').split('\n');
+            const parts = [];
+            lines.forEach((line, index) => {
+                if (index > 0) parts.push(element.ownerDocument.createElement('br'));
+                parts.push(line);
+            });
+            textNode.replaceWith(...parts);
+        });
+    }
+
+    /**
+     * Collapse runs of whitespace in text nodes
+     * Text in pre is left alone, and spaces between inline elements are kept;
+     * only the ends of a block or the sides of a line break are trimmed
+     */
+    static collapseWhitespace(root) {
+        const walker = root.ownerDocument.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+        const nodes = [];
+        let node;
+        while ((node = walker.nextNode())) {
+            nodes.push(node);
+        }
+
+        nodes.forEach(textNode => {
+            if (textNode.parentElement && textNode.parentElement.closest('pre')) return;
+
+            let text = textNode.textContent.replace(/\s+/g, ' ');
+            if (InlineFormatting.isAtLineEdge(textNode, -1)) {
+                text = text.trimStart();
+            }
+            if (InlineFormatting.isAtLineEdge(textNode, 1)) {
+                text = text.trimEnd();
+            }
+            textNode.textContent = text;
+        });
+    }
+
+    /**
+     * Check whether a text node starts (-1) or ends (+1) a line, looking out
+     * through the inline elements around it for a br, a block or the block's edge
+     */
+    static isAtLineEdge(textNode, direction) {
+        let node = textNode;
+        while (node) {
+            const sibling = direction < 0 ? node.previousSibling : node.nextSibling;
+            if (sibling) {
+                return sibling.nodeType === Node.ELEMENT_NODE &&
+                    (sibling.tagName === 'BR' || !InlineFormatting.isInline(sibling));
+            }
+
+            node = node.parentNode;
+            if (!node || node.nodeType !== Node.ELEMENT_NODE || !InlineFormatting.isInline(node)) {
+                return true;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Check whether an element is inline text markup
+     */
+    static isInline(element) {
+        return InlineFormatting.INLINE_TAGS.includes(element.tagName.toLowerCase());
+    }
+
+    /**
+     * Check whether an element without text should be removed
+     * Line breaks, images, table cells and ruby annotations are kept
+     */
+    static isEmpty(element) {
+        return !element.textContent.trim() &&
+            !element.matches(InlineFormatting.KEEP_EMPTY) &&
+            !element.querySelector('img, table');
+    }
+}
+
+// Class names sites use for formatting instead of styles
+InlineFormatting.CLASS_PATTERNS = {
+    em: /^(?:italic|italics|text-italic|font-italic|fst-italic|em)$/i,
+    strong: /^(?:bold|text-bold|font-bold|fw-bold|strong)$/i,
+    u: /^(?:underline|underlined|text-underline)$/i,
+    centered: /^(?:center|centered|centre|text-center|text-centre|align-center|aligncenter|has-text-align-center)$/i
+};
+
+// Ancestors that already give an element each formatting
+InlineFormatting.SAME_TAGS = {
+    strong: 'strong, b',
+    em: 'em, i',
+    u: 'u'
+};
+
+InlineFormatting.BLOCK_SELECTOR = 'p, div, table, ul, ol, li, blockquote, pre, h1, h2, h3, h4, h5, h6, section, article, aside, hr';
+
+InlineFormatting.INLINE_TAGS = [
+    'a', 'abbr', 'b', 'bdi', 'bdo', 'big', 'cite', 'code', 'del', 'dfn', 'em', 'font', 'i', 'ins',
+    'kbd', 'mark', 'q', 'rp', 'rt', 'ruby', 's', 'samp', 'small', 'span', 'strike', 'strong',
+    'sub', 'sup', 'time', 'tt', 'u', 'var', 'img'
+];
+
+// Elements that are meaningful without text
+InlineFormatting.KEEP_EMPTY = 'br, hr, img, td, th, tr, rt, rp, col, colgroup';
+
+// Export for use in other modules
+window.InlineFormatting = InlineFormatting;
@@ -0,0 +1,157 @@
+/**
+ * Language detector module for WebToEpub web application
+ * Finds the language of a story from page hints or from the chapter text itself
+ */
+
+class LanguageDetector {
+    /**
+     * Read the language the page declares for itself
+     * Returns { language, source } with a BCP 47 tag, or null
+     */
+    static fromDocument(dom) {
+        const hints = [
+            ['htmlLang', dom.documentElement && dom.documentElement.getAttribute('lang')],
+            ['htmlLang', dom.documentElement && dom.documentElement.getAttribute('xml:lang')],
+            ['contentLanguage', LanguageDetector.getMetaContent(dom, 'meta[http-equiv="content-language" i]')],
+            ['opengraph', LanguageDetector.getMetaContent(dom, 'meta[property="og:locale"]')]
+        ];
+
+        for (const [source, value] of hints) {
+            // A Content-Language header may list several languages; the first is the main one
+            const language = LanguageDetector.normalizeTag(String(value || '').split(',')[0]);
+            if (language) {
+                return { language, source };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Guess the language of a text from its script and, for Latin text, its common words
+     * Returns a BCP 47 tag, or null when the text is too short or ambiguous
+     */
+    static fromText(text) {
+        const counts = {};
+        Object.entries(LanguageDetector.SCRIPT_PATTERNS).forEach(([script, pattern]) => {
+            counts[script] = (text.match(pattern) || []).length;
+        });
+
+        const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+        if (total < LanguageDetector.MIN_LETTERS) return null;
+
+        const [script] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+
+        // Japanese mixes kana into Han text, Chinese has none
+        if (script === 'han' || script === 'kana') {
+            if (counts.kana / (counts.han + counts.kana) >= 0.05) return 'ja';
+            return LanguageDetector.getChineseScript(text);
+        }
+
+        switch (script) {
+            case 'hangul': return 'ko';
+            case 'cyrillic': return /[іїєґ]/i.test(text) ? 'uk' : 'ru';
+            case 'thai': return 'th';
+            case 'arabic': return 'ar';
+            case 'greek': return 'el';
+            case 'hebrew': return 'he';
+            case 'devanagari': return 'hi';
+            default: return LanguageDetector.classifyLatin(text);
+        }
+    }
+
+    /**
+     * Tell simplified from traditional Chinese by characters that only exist in one
+     */
+    static getChineseScript(text) {
+        const count = (chars) => Array.from(text).filter(char => chars.includes(char)).length;
+        return count(LanguageDetector.TRADITIONAL_CHARS) > count(LanguageDetector.SIMPLIFIED_CHARS)
+            ? 'zh-Hant'
+            : 'zh-Hans';
+    }
+
+    /**
+     * Score Latin-script text against the most common words of each language
+     */
+    static classifyLatin(text) {
+        const lower = text.toLowerCase();
+
+        // Vietnamese is recognizable by its stacked diacritics
+        const vietnamese = (lower.match(/[ăâđêôơưạảấầẩẫậắằẳẵặẹẻẽếềểễệỉịọỏốồổỗộớờởỡợụủứừửữựỳỵỷỹ]/g) || []).length;
+        const words = lower.match(/[\p{L}']+/gu) || [];
+        if (vietnamese / Math.max(words.length, 1) > 0.2) return 'vi';
+
+        const scores = {};
+        Object.entries(LanguageDetector.COMMON_WORDS).forEach(([language, list]) => {
+            const common = new Set(list.split(' '));
+            scores[language] = words.filter(word => common.has(word)).length;
+        });
+
+        const [[best, bestScore], [, secondScore]] = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+        if (bestScore < 5 || bestScore < secondScore * 1.5) return null;
+        return best;
+    }
+
+    /**
+     * Clean up a language tag into BCP 47 form, e.g. "en_us" -> "en-US"
+     */
+    static normalizeTag(tag) {
+        const value = String(tag || '').trim().replace(/_/g, '-');
+        if (!LanguageDetector.TAG_PATTERN.test(value)) return null;
+
+        return value.split('-').map((part, index) => {
+            if (index === 0) return part.toLowerCase();
+            if (/^[a-z]{4}$/i.test(part)) return part[0].toUpperCase() + part.slice(1).toLowerCase();
+            if (/^([a-z]{2}|\d{3})$/i.test(part)) return part.toUpperCase();
+            return part.toLowerCase();
+        }).join('-');
+    }
+
+    /**
+     * Get the content attribute of the first matching meta tag
+     */
+    static getMetaContent(dom, selector) {
+        const element = dom.querySelector(selector);
+        return element ? element.getAttribute('content') : null;
+    }
+}
+
+LanguageDetector.SCRIPT_PATTERNS = {
+    latin: /\p{Script=Latin}/gu,
+    han: /\p{Script=Han}/gu,
+    kana: /[\p{Script=Hiragana}\p{Script=Katakana}]/gu,
+    hangul: /\p{Script=Hangul}/gu,
+    cyrillic: /\p{Script=Cyrillic}/gu,
+    thai: /\p{Script=Thai}/gu,
+    arabic: /\p{Script=Arabic}/gu,
+    greek: /\p{Script=Greek}/gu,
+    hebrew: /\p{Script=Hebrew}/gu,
+    devanagari: /\p{Script=Devanagari}/gu
+};
+
+// Well-formed BCP 47 tags: language, then optional script, region, variants, extensions and private use
+LanguageDetector.TAG_PATTERN = /^[a-z]{2,3}(?:-[a-z]{3}){0,3}(?:-[a-z]{4})?(?:-(?:[a-z]{2}|\d{3}))?(?:-(?:[a-z\d]{5,8}|\d[a-z\d]{3}))*(?:-[a-wyz\d](?:-[a-z\d]{2,8})+)*(?:-x(?:-[a-z\d]{1,8})+)?$/i;
+
+// Texts with fewer letters than this are not classified
+LanguageDetector.MIN_LETTERS = 30;
+
+// Frequent characters that differ between simplified and traditional Chinese
+LanguageDetector.SIMPLIFIED_CHARS = '们这说时国会来对为过还没发现开关后见样经问长门间让给从听头动气学体';
+LanguageDetector.TRADITIONAL_CHARS = '們這說時國會來對為過還沒發現開關後見樣經問長門間讓給從聽頭動氣學體';
+
+// The most frequent words of languages written in Latin script
+LanguageDetector.COMMON_WORDS = {
+    en: 'the and to of a in that is was he she it you his her i with for as had not but',
+    es: 'de la que el en y los se del las un por con una su para es lo como pero no',
+    fr: 'le la les de et des un une est que il elle pas dans du pour qui ne se vous',
+    de: 'der die und das ist nicht sie es ich er ein eine zu den mit auf sich dem war auch',
+    pt: 'de que não o a e do da em um uma para com os se no na mas ele ela',
+    it: 'di che il la non e è un una per del della lo si mi ma con sono gli le',
+    id: 'yang dan di itu dengan tidak ini dia ke aku kamu untuk dari ada akan saya sudah juga bisa apa',
+    nl: 'de het een en van ik je dat niet is op te zijn hij met die maar wat voor ze',
+    pl: 'się nie i w na że z to jest do jak ale co jego tak po mnie już go był',
+    tr: 'bir ve bu da de için ne çok ama o ben sen gibi daha olarak kadar var değil mi diye'
+};
+
+// Export for use in other modules
+window.LanguageDetector = LanguageDetector;
@@ -0,0 +1,155 @@
+/**
+ * Metadata extractor module for WebToEpub web application
+ * Reads story metadata from JSON-LD, OpenGraph and other meta tags
+ */
+
+class MetadataExtractor {
+    /**
+     * Read metadata from schema.org JSON-LD blocks
+     * Returns an object with any of title, author, description, coverImageUrl and subject
+     */
+    static fromJsonLd(dom) {
+        const nodes = [];
+        dom.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+            try {
+                MetadataExtractor.collectNodes(JSON.parse(script.textContent), nodes);
+            } catch (e) {
+                console.warn('Could not parse JSON-LD:', e);
+            }
+        });
+
+        // Prefer the most specific type, e.g. a Book over the Article wrapping it
+        let node = null;
+        for (const type of MetadataExtractor.JSON_LD_TYPES) {
+            node = nodes.find(candidate => [].concat(candidate['@type']).includes(type));
+            if (node) break;
+        }
+        if (!node) return {};
+
+        // Keywords may be plain strings or DefinedTerm objects with a name
+        const keywords = [].concat(node.keywords || node.genre || []).map(MetadataExtractor.getName).filter(Boolean).join(', ');
+        return MetadataExtractor.compact({
+            title: MetadataExtractor.getText(node.name || node.headline),
+            author: [].concat(node.author || node.creator || []).map(MetadataExtractor.getName).filter(Boolean).join(', '),
+            description: MetadataExtractor.getText(node.description),
+            coverImageUrl: MetadataExtractor.getImageUrl(node.image || node.thumbnailUrl),
+            subject: Utils.cleanText(keywords)
+        });
+    }
+
+    /**
+     * Read metadata from OpenGraph and standard meta tags
+     */
+    static fromMetaTags(dom) {
+        const values = (...names) => names.reduce((found, name) => found.concat(
+            Array.from(dom.querySelectorAll(`meta[property="${name}"], meta[name="${name}"]`))
+                .map(element => Utils.cleanText(element.getAttribute('content') || ''))
+                .filter(Boolean)
+        ), []);
+        const meta = (...names) => values(...names)[0] || '';
+
+        return {
+            opengraph: MetadataExtractor.compact({
+                title: meta('og:title'),
+                // OpenGraph authors are usually profile URLs rather than names
+                author: values('book:author', 'article:author').find(value => !MetadataExtractor.isHttpUrl(value)) || '',
+                description: meta('og:description'),
+                coverImageUrl: meta('og:image', 'og:image:url', 'og:image:secure_url'),
+                subject: Array.from(dom.querySelectorAll('meta[property="book:tag"], meta[property="article:tag"]'))
+                    .map(element => Utils.cleanText(element.getAttribute('content') || ''))
+                    .filter(Boolean)
+                    .join(', ')
+            }),
+            meta: MetadataExtractor.compact({
+                title: meta('twitter:title'),
+                author: meta('author', 'twitter:creator'),
+                description: meta('description', 'twitter:description'),
+                coverImageUrl: meta('twitter:image'),
+                subject: meta('keywords')
+            })
+        };
+    }
+
+    /**
+     * Flatten JSON-LD arrays and @graph containers into a list of nodes
+     */
+    static collectNodes(data, nodes) {
+        if (Array.isArray(data)) {
+            data.forEach(item => MetadataExtractor.collectNodes(item, nodes));
+        } else if (data && typeof data === 'object') {
+            nodes.push(data);
+            if (data['@graph']) {
+                MetadataExtractor.collectNodes(data['@graph'], nodes);
+            }
+            if (data.mainEntity) {
+                MetadataExtractor.collectNodes(data.mainEntity, nodes);
+            }
+        }
+    }
+
+    /**
+     * Get a person or organization name from a JSON-LD value
+     */
+    static getName(value) {
+        if (typeof value === 'string') return Utils.cleanText(value);
+        return value && typeof value === 'object' ? MetadataExtractor.getText(value.name) : '';
+    }
+
+    /**
+     * Check whether a value parses as an http or https URL
+     */
+    static isHttpUrl(value) {
+        try {
+            return ['http:', 'https:'].includes(new URL(value).protocol);
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * Get an image URL from a JSON-LD image value
+     */
+    static getImageUrl(value) {
+        const image = Array.isArray(value) ? value[0] : value;
+        if (typeof image === 'string') return image.trim();
+        return image && typeof image === 'object' ? String(image.url || image.contentUrl || '').trim() : '';
+    }
+
+    /**
+     * Get plain text from a JSON-LD string, which may contain HTML
+     * Parsed in a detached document so markup from the page never runs
+     */
+    static getText(value) {
+        return typeof value === 'string' ? Utils.cleanText(Utils.parseHTML(value).body.textContent || '') : '';
+    }
+
+    /**
+     * Drop empty fields
+     */
+    static compact(fields) {
+        const result = {};
+        Object.entries(fields).forEach(([field, value]) => {
+            if (value) result[field] = value;
+        });
+        return result;
+    }
+}
+
+// JSON-LD types that describe a story, most specific first
+MetadataExtractor.JSON_LD_TYPES = ['Book', 'BookSeries', 'CreativeWorkSeries', 'CreativeWork', 'Article', 'BlogPosting', 'NewsArticle'];
+
+// Labels shown next to form fields for each metadata source
+MetadataExtractor.SOURCE_LABELS = {
+    siteRule: 'site rule',
+    jsonld: 'JSON-LD',
+    opengraph: 'OpenGraph',
+    meta: 'meta tag',
+    htmlLang: 'html lang',
+    contentLanguage: 'Content-Language',
+    text: 'detected from text',
+    selector: 'page',
+    edited: 'edited'
+};
+
+// Export for use in other modules
+window.MetadataExtractor = MetadataExtractor;
@@ -4,7 +4,14 @@
  */
 
 class Parser {
-    constructor() {
+    constructor(transport = null, scheduler = null, cache = null, siteRulesStore = null, contentOptions = null) {
+        this.transport = transport || new Transport();
+        this.scheduler = scheduler || new DownloadScheduler();
+        this.cache = cache || new ChapterCache();
+        this.siteRulesStore = siteRulesStore || new SiteRulesStore();
+        this.contentOptions = contentOptions || new ContentOptions();
+        this.maxTocPages = 100;
+        this.maxChapterParts = 20;
         this.chapters = [];
         this.metaInfo = {
             title: '',
@@ -14,27 +21,6 @@ class Parser {
             subject: '',
             coverImageUrl: ''
         };
-        this.siteSpecificRules = {
-            'wuxiaworld.com': {
-                titleSelector: '.novel-title',
-                authorSelector: '.author',
-                chapterSelectors: ['.chapter-item a', '.wp-manga-chapter a'],
-                contentSelector: '.chapter-content'
-            },
-            'royalroad.com': {
-                titleSelector: '.fic-title h1',
-                authorSelector: '.author-name',
-                chapterSelectors: ['.chapter-row a'],
-                contentSelector: '.chapter-content'
-            },
-            'novelupdates.com': {
-                titleSelector: '.seriestitlenu',
-                authorSelector: '#showauthors',
-                chapterSelectors: ['#chapterlist a'],
-                contentSelector: '.chapter-content'
-            }
-            // Add more sites as needed
-        };
     }
 
     /**
@@ -43,59 +29,30 @@ class Parser {
     async parsePage(url) {
         try {
             console.log('Fetching page content...');
-
-            // Try multiple CORS proxies in case one fails
-            const proxyUrls = [
-                `https://api.allorigins.win/get?url=${encodeURIComponent(url)}`,
-                `https://cors-anywhere.herokuapp.com/${url}`,
-                `https://api.codetabs.com/v1/proxy?quest=${encodeURIComponent(url)}`,
-                `https://corsproxy.io/?${encodeURIComponent(url)}`,
-                `https://thingproxy.freeboard.io/fetch/${url}`,
-                `https://yacdn.org/proxy/${url}`
-            ];
+            Utils.updateProgress(0, 'Fetching page content...');
 
             let html = null;
-            let error = null;
-
-            // Try each proxy until one works
-            for (const proxyUrl of proxyUrls) {
-                try {
-                    Utils.updateProgress(0, 'Fetching page content...');
-                    const response = await fetch(proxyUrl);
-                    if (response.ok) {
-                        if (proxyUrl.includes('allorigins')) {
-                            const data = await response.json();
-                            html = data.contents;
-                        } else {
-                            html = await response.text();
-                        }
-                        if (html) break;
-                    }
-                } catch (e) {
-                    error = e;
-                    continue;
-                }
-            }
-
-            if (!html) {
-                console.error('All proxies failed:', error);
+            try {
+                html = await this.transport.fetchText(url);
+            } catch (e) {
+                console.error('Transport failed:', e);
                 throw new Error('Failed to fetch content. Please try again later or use a different URL.');
             }
 
             Utils.updateProgress(30, 'Analyzing page structure...');
             const dom = Utils.parseHTML(html);
 
-            // Get hostname for site-specific rules
-            const hostname = new URL(url).hostname.replace('www.', '');
-            const siteRules = this.siteSpecificRules[hostname] || this.getDefaultRules();
+            // Get the site adapter and site-specific rules
+            const adapter = this.getAdapter(url);
+            const siteRules = this.getSiteRules(url);
 
             // Extract metadata using site-specific rules if available
             Utils.updateProgress(50, 'Extracting metadata...');
-            this.extractMetadata(dom, url, siteRules);
+            await adapter.extractMetadata(dom, url, this, siteRules);
 
             // Extract chapters
             Utils.updateProgress(70, 'Finding chapters...');
-            await this.extractChapters(dom, url, siteRules);
+            this.chapters = await adapter.extractChapterList(dom, url, this, siteRules);
 
             Utils.updateProgress(100, 'Page analysis complete');
             setTimeout(() => Utils.hideProgress(), 1000);
@@ -112,6 +69,37 @@ class Parser {
         }
     }
 
+    /**
+     * Get the site adapter for a URL
+     */
+    getAdapter(url) {
+        return SiteAdapterRegistry.find(url);
+    }
+
+    /**
+     * Get the built-in rules of the adapter handling a domain, or null
+     */
+    getBuiltInRules(domain) {
+        const adapter = SiteAdapterRegistry.find(`https://${domain}/`);
+        return adapter === SiteAdapterRegistry.genericAdapter ? null : adapter.rules;
+    }
+
+    /**
+     * Get the parsing rules for a URL's site
+     * User rules from the Site Rules editor override the adapter's rules field by field
+     */
+    getSiteRules(url) {
+        const hostname = new URL(url).hostname.replace('www.', '');
+        const adapter = this.getAdapter(url);
+        const builtInRules = Object.keys(adapter.rules).length > 0 ? adapter.rules : null;
+        const userRules = this.siteRulesStore.getRules(hostname);
+
+        if (userRules) {
+            return Object.assign({}, builtInRules || {}, userRules);
+        }
+        return builtInRules || this.getDefaultRules();
+    }
+
     /**
      * Get default parsing rules
      */
@@ -146,88 +134,187 @@ class Parser {
                 'article',
                 '.post-content',
                 '.content'
+            ].join(','),
+            tocPagerSelector: [
+                '.pagination a[rel="next"]',
+                '.pagination .next a',
+                '.pagination a.next',
+                'a.next.page-numbers',
+                '.pager-next a',
+                '.page-item.next a'
+            ].join(','),
+            nextChapterSelector: [
+                'a[rel="next"]',
+                'link[rel="next"]',
+                'a.next-chapter',
+                '.next-chapter a',
+                '.nav-next a',
+                '#next_chap',
+                '#next-chapter'
+            ].join(','),
+            chapterTitleSelector: [
+                '.chapter-title',
+                '.entry-title',
+                'h1',
+                'h2',
+                'title'
             ].join(',')
         };
     }
 
     /**
      * Extract metadata from the page
+     * Each field comes from the first source that has it: selectors configured for
+     * the site, JSON-LD, OpenGraph, other meta tags, then generic page selectors.
+     * The source of each field is recorded in metaInfo.sources.
      */
     extractMetadata(dom, url, siteRules) {
-        // Try site-specific selector first, then fall back to defaults
-        const titleElement = dom.querySelector(siteRules.titleSelector) ||
-            dom.querySelector(this.getDefaultRules().titleSelector);
+        const defaults = this.getDefaultRules();
+        const sources = {};
+        const setField = (field, value, source) => {
+            if (value && !sources[field]) {
+                this.metaInfo[field] = field === 'coverImageUrl' ? this.resolveUrl(value, url) : value;
+                sources[field] = source;
+            }
+        };
+        const setFields = (fields, source) => {
+            Object.entries(fields).forEach(([field, value]) => setField(field, value, source));
+        };
 
-        if (titleElement) {
-            this.metaInfo.title = Utils.cleanText(titleElement.textContent || titleElement.getAttribute('content') || '');
+        // Selectors set by the user or a site adapter, when they differ from the generic ones
+        const siteSelector = (field) => siteRules[field] && siteRules[field] !== defaults[field] ? siteRules[field] : null;
+        setFields({
+            title: this.readMetadataSelector(dom, siteSelector('titleSelector')),
+            author: this.readMetadataSelector(dom, siteSelector('authorSelector')),
+            description: this.readMetadataSelector(dom, siteSelector('descriptionSelector')),
+            coverImageUrl: this.readMetadataSelector(dom, siteSelector('coverSelector'))
+        }, 'siteRule');
+
+        // Structured data
+        setFields(MetadataExtractor.fromJsonLd(dom), 'jsonld');
+        const { opengraph, meta } = MetadataExtractor.fromMetaTags(dom);
+        setFields(opengraph, 'opengraph');
+        setFields(meta, 'meta');
+
+        // Generic selectors
+        setFields({
+            title: this.readMetadataSelector(dom, defaults.titleSelector),
+            author: this.readMetadataSelector(dom, defaults.authorSelector),
+            description: this.readMetadataSelector(dom, '.description, .summary, .synopsis'),
+            coverImageUrl: this.readMetadataSelector(dom, '.cover img, .novel-cover img, .story-cover img')
+        }, 'selector');
+
+        // The language the page declares; checked against the chapter text once downloaded
+        const declared = LanguageDetector.fromDocument(dom);
+        if (declared) {
+            setField('language', declared.language, declared.source);
         }
 
-        const authorElement = dom.querySelector(siteRules.authorSelector) ||
-            dom.querySelector(this.getDefaultRules().authorSelector);
+        this.metaInfo.sources = sources;
 
-        if (authorElement) {
-            this.metaInfo.author = Utils.cleanText(authorElement.textContent || '');
+        // Generate filename if not set
+        if (!this.metaInfo.title) {
+            this.metaInfo.title = 'Untitled Story';
         }
+    }
 
-        // Try to extract description
-        const descSelectors = [
-            '[property="og:description"]',
-            '.description',
-            '.summary',
-            '.synopsis'
-        ];
+    /**
+     * Check the book language against the text of the first downloaded chapters
+     * A declared language that agrees with the text is kept, as it may name a region.
+     * Returns true if the language was set from the text.
+     */
+    detectLanguage(metaInfo, chapters) {
+        const sources = metaInfo.sources || (metaInfo.sources = {});
+        if (sources.language === 'edited') return false;
+
+        const text = chapters
+            .filter(chapter => chapter.status === 'completed' && chapter.content)
+            .slice(0, 3)
+            .map(chapter => Utils.parseHTML(chapter.content).body.textContent)
+            .join(' ')
+            .slice(0, 20000);
+
+        const detected = LanguageDetector.fromText(text);
+        if (!detected) return false;
+
+        const primary = (tag) => String(tag || '').split('-')[0].toLowerCase();
+        if (sources.language && primary(detected) === primary(metaInfo.language)) return false;
+
+        metaInfo.language = detected;
+        sources.language = 'text';
+        return true;
+    }
+
+    /**
+     * Read a metadata value from the first element matching a selector
+     * Images give their src and meta tags their content
+     */
+    readMetadataSelector(dom, selector) {
+        if (!selector) return '';
 
-        for (const selector of descSelectors) {
+        try {
             const element = dom.querySelector(selector);
-            if (element) {
-                this.metaInfo.description = Utils.cleanText(element.textContent || element.getAttribute('content') || '');
-                break;
-            }
+            if (!element) return '';
+            if (element.tagName === 'IMG') return element.getAttribute('src') || '';
+            return Utils.cleanText(element.textContent || element.getAttribute('content') || '');
+        } catch (e) {
+            console.warn('Invalid metadata selector:', selector, e);
+            return '';
         }
+    }
 
-        // Try to extract cover image
-        const coverSelectors = [
-            '[property="og:image"]',
-            '.cover img',
-            '.novel-cover img',
-            '.story-cover img'
-        ];
+    /**
+     * Describe the settings that shape the content extracted from a page
+     * Cached content extracted under a different fingerprint is extracted again
+     */
+    getExtractionFingerprint(siteRules) {
+        return JSON.stringify([
+            Parser.EXTRACTION_VERSION,
+            siteRules,
+            this.contentOptions.getAuthorNoteMode(),
+            this.contentOptions.getBilingualMode()
+        ]);
+    }
 
-        for (const selector of coverSelectors) {
-            const element = dom.querySelector(selector);
-            if (element) {
-                const src = element.getAttribute('src') || element.getAttribute('content');
-                if (src) {
-                    this.metaInfo.coverImageUrl = this.resolveUrl(src, url);
-                    break;
-                }
-            }
+    /**
+     * Query with a selector from the site rules, treating an invalid selector as matching nothing
+     * so one bad rule falls back to the defaults instead of failing the page
+     */
+    querySiteSelector(root, selector) {
+        try {
+            return root.querySelector(selector);
+        } catch (e) {
+            console.warn('Invalid site rule selector:', selector, e);
+            return null;
         }
+    }
 
-        // Generate filename if not set
-        if (!this.metaInfo.title) {
-            this.metaInfo.title = 'Untitled Story';
+    /**
+     * Query all matches of a selector from the site rules, or none when it is invalid
+     */
+    querySiteSelectorAll(root, selector) {
+        try {
+            return Array.from(root.querySelectorAll(selector));
+        } catch (e) {
+            console.warn('Invalid site rule selector:', selector, e);
+            return [];
         }
     }
 
     /**
-     * Extract chapters from the page with improved error handling
+     * Find the chapter links on a single table of contents page
      */
-    async extractChapters(dom, baseUrl, siteRules) {
-        this.chapters = [];
+    findChapterLinks(dom, siteRules) {
         let allChapterLinks = [];
-        let processedUrls = new Set();
-
-        console.log('Extracting chapters with rules:', siteRules);
 
         // Try site-specific selectors first
         if (Array.isArray(siteRules.chapterSelectors)) {
             for (const selector of siteRules.chapterSelectors) {
                 console.log('Trying selector:', selector);
-                const links = dom.querySelectorAll(selector);
+                const links = this.querySiteSelectorAll(dom, selector);
                 if (links.length > 0) {
                     console.log(`Found ${links.length} links with selector:`, selector);
-                    allChapterLinks = Array.from(links);
+                    allChapterLinks = links;
                     break;
                 }
             }
@@ -268,18 +355,195 @@ class Parser {
             console.log(`Found ${allChapterLinks.length} potential chapter links with aggressive approach`);
         }
 
+        return allChapterLinks;
+    }
+
+    /**
+     * Find the volume or arc heading each chapter link is listed under
+     * Headings are read in document order, so a page that starts mid-volume
+     * continues the group carried over from the previous page.
+     * Returns { groups, lastGroup } with groups parallel to links.
+     */
+    findChapterGroups(links, siteRules, currentGroup) {
+        if (links.length === 0) {
+            return { groups: [], lastGroup: currentGroup };
+        }
+
+        // The list holding every link, and one level up for headings placed just before it
+        let listRoot = links[0].parentElement;
+        while (listRoot.parentElement && !links.every(link => listRoot.contains(link))) {
+            listRoot = listRoot.parentElement;
+        }
+        const scope = listRoot.parentElement || listRoot;
+
+        const isHeading = (element) => {
+            const text = Utils.cleanText(element.textContent);
+            if (!text || text.length > 100 || element.querySelector('a[href]')) return false;
+            // Headings outside the list itself must name a volume or arc
+            return listRoot.contains(element) || Parser.GROUP_PATTERN.test(text);
+        };
+
+        const headingSelector = siteRules.volumeSelector ||
+            'h1, h2, h3, h4, h5, h6, summary, dt, caption, [class*="volume"], [class*="arc-title"]';
+        let headings;
+        try {
+            headings = new Set(Array.from(scope.querySelectorAll(headingSelector)).filter(isHeading));
+        } catch (e) {
+            console.warn('Invalid volume selector:', headingSelector, e);
+            headings = new Set();
+        }
+
+        const linkSet = new Set(links);
+        const groupOf = new Map();
+        const walker = scope.ownerDocument.createTreeWalker(scope, NodeFilter.SHOW_ELEMENT);
+        let group = currentGroup;
+        let node;
+        while ((node = walker.nextNode())) {
+            if (headings.has(node)) {
+                group = Utils.cleanText(node.textContent);
+            } else if (linkSet.has(node)) {
+                groupOf.set(node, group);
+            }
+        }
+
+        let groups = links.map(link => groupOf.has(link) ? groupOf.get(link) : currentGroup);
+
+        // A single heading that doesn't name a volume is a page heading, not a group
+        const named = new Set(groups.filter(name => name && name !== currentGroup));
+        if (named.size === 1 && !siteRules.volumeSelector && !Parser.GROUP_PATTERN.test([...named][0])) {
+            groups = groups.map(name => name === [...named][0] ? currentGroup : name);
+        }
+
+        return { groups, lastGroup: groups[groups.length - 1] };
+    }
+
+    /**
+     * Find the URL of the next table of contents page, if any
+     * Checks the per-site pager selector, rel="next" and numbered pager links
+     */
+    findNextTocPage(dom, pageUrl, siteRules, visitedPages) {
+        const isNew = (href) => {
+            if (!href) return null;
+            const url = this.resolveUrl(href, pageUrl);
+            return url !== pageUrl && !visitedPages.has(url) && url.startsWith('http') ? url : null;
+        };
+
+        // Per-site pager selector, then generic "next page" pager selectors
+        const pagerSelectors = [siteRules.tocPagerSelector, this.getDefaultRules().tocPagerSelector]
+            .filter(Boolean);
+        for (const selector of pagerSelectors) {
+            const element = this.querySiteSelector(dom, selector);
+            const url = element && isNew(element.getAttribute('href'));
+            if (url) return url;
+        }
+
+        // rel="next" in the head or on a link
+        const relNext = dom.querySelector('link[rel="next"], a[rel="next"], a[rel~="next"]');
+        const relUrl = relNext && isNew(relNext.getAttribute('href'));
+        if (relUrl) return relUrl;
+
+        // Numbered pager links pointing at the following page number of the same index
+        const nextPage = this.getPageNumber(pageUrl) + 1;
+        const indexUrl = this.stripPageNumber(pageUrl);
+        const pagerLinks = [];
+
+        for (const link of dom.querySelectorAll('a[href]')) {
+            const url = isNew(link.getAttribute('href'));
+            if (!url) continue;
+
+            if (this.getPageNumber(url) === nextPage && this.stripPageNumber(url) === indexUrl) {
+                return url;
+            }
+            if (link.closest('[class*="pag"], [id*="pag"]')) {
+                pagerLinks.push({ url, text: Utils.cleanText(link.textContent) });
+            }
+        }
+
+        // "Next page" style links inside a pager
+        const nextLink = pagerLinks.find(({ text }) => /^(next( page)?|›|»|>|→)$/i.test(text));
+        return nextLink ? nextLink.url : null;
+    }
+
+    /**
+     * Get the page number encoded in a URL (1 if none)
+     */
+    getPageNumber(url) {
+        const match = url.match(/[?&](?:page|p|pg|paged)=(\d+)/i) || url.match(/\/page[\/-](\d+)\/?(?:[?#]|$)/i);
+        return match ? parseInt(match[1], 10) : 1;
+    }
+
+    /**
+     * Remove the page number from a paginated URL
+     */
+    stripPageNumber(url) {
+        return url
+            .replace(/([?&])(?:page|p|pg|paged)=\d+&?/i, '$1')
+            .replace(/\/page[\/-]\d+\/?(?=[?#]|$)/i, '/')
+            .replace(/[?&#]+$/, '')
+            .replace(/\/+$/, '');
+    }
+
+    /**
+     * Extract chapters from the page with improved error handling
+     * Follows table-of-contents pagination so split chapter indexes are merged
+     */
+    async extractChapters(dom, baseUrl, siteRules) {
+        this.chapters = [];
+        let processedUrls = new Set();
+
+        console.log('Extracting chapters with rules:', siteRules);
+
+        const firstLinks = this.findChapterLinks(dom, siteRules);
+        let { groups, lastGroup } = this.findChapterGroups(firstLinks, siteRules, null);
+        const allChapterLinks = firstLinks.map((link, i) => ({ link, pageUrl: baseUrl, group: groups[i] }));
+
         if (allChapterLinks.length === 0) {
             throw new Error('No chapters found on the page');
         }
 
+        // Follow "next page" links of the table of contents
+        const visitedPages = new Set([baseUrl]);
+        let pageDom = dom;
+        let pageUrl = baseUrl;
+        let nextPageUrl = this.findNextTocPage(pageDom, pageUrl, siteRules, visitedPages);
+
+        while (nextPageUrl && visitedPages.size < this.maxTocPages) {
+            visitedPages.add(nextPageUrl);
+            Utils.updateProgress(70, `Finding chapters (page ${visitedPages.size})...`);
+            console.log('Following table of contents page:', nextPageUrl);
+
+            try {
+                await this.scheduler.acquire(nextPageUrl);
+                const html = await this.transport.fetchText(nextPageUrl);
+                this.scheduler.reportSuccess(nextPageUrl);
+                pageDom = Utils.parseHTML(html);
+                pageUrl = nextPageUrl;
+            } catch (e) {
+                this.scheduler.reportFailure(nextPageUrl);
+                console.warn('Stopping table of contents pagination:', e);
+                break;
+            }
+
+            const pageLinks = this.findChapterLinks(pageDom, siteRules);
+            if (pageLinks.length === 0) {
+                console.log('No chapters on page, stopping pagination:', pageUrl);
+                break;
+            }
+
+            const currentPageUrl = pageUrl;
+            ({ groups, lastGroup } = this.findChapterGroups(pageLinks, siteRules, lastGroup));
+            pageLinks.forEach((link, i) => allChapterLinks.push({ link, pageUrl: currentPageUrl, group: groups[i] }));
+            nextPageUrl = this.findNextTocPage(pageDom, pageUrl, siteRules, visitedPages);
+        }
+
         // Process chapter links
         console.log('Processing chapter links...');
-        allChapterLinks.forEach((link, index) => {
+        allChapterLinks.forEach(({ link, pageUrl: linkBaseUrl, group }, index) => {
             const href = link.getAttribute('href');
             if (!href) return;
 
             // Resolve relative URLs to absolute
-            const absoluteUrl = this.resolveUrl(href, baseUrl);
+            const absoluteUrl = this.resolveUrl(href, linkBaseUrl);
             if (processedUrls.has(absoluteUrl)) return;
             processedUrls.add(absoluteUrl);
 
@@ -287,8 +551,10 @@ class Parser {
 
             this.chapters.push({
                 url: absoluteUrl,
-                baseUrl: baseUrl,  // Store base URL for later use
+                baseUrl: linkBaseUrl,  // Store base URL for later use
                 title: title,
+                sourceTitle: title,
+                group: group,  // Volume or arc heading the chapter is listed under
                 index: index,
                 selected: true,
                 status: 'pending',
@@ -297,203 +563,484 @@ class Parser {
             });
         });
 
-        // Sort chapters by their numeric order if possible
-        this.chapters.sort((a, b) => {
-            const aMatch = a.title.match(/\d+/);
-            const bMatch = b.title.match(/\d+/);
-            if (aMatch && bMatch) {
-                return parseInt(aMatch[0]) - parseInt(bMatch[0]);
-            }
-            return a.index - b.index;
+        // Order chapters by the parsed volume and chapter numbers, or as the site lists them
+        this.chapters = ChapterOrder.sort(this.chapters, this.contentOptions.settings.chapterOrder);
+
+        this.chapters.forEach((chapter, position) => {
+            chapter.title = this.contentOptions.formatChapterTitle(chapter.sourceTitle, this.metaInfo.title, position + 1);
         });
 
         console.log(`Extracted ${this.chapters.length} chapters`);
+        return this.chapters;
     }
 
     /**
-     * Fetch and extract content for a single chapter
+     * Crawl a story by following "next chapter" links from a chapter page
+     * Calls onChapter(chapter, index) as soon as each chapter has been extracted
+     * Pass resumeFrom with previously crawled chapters to continue after the last one
      */
-    async fetchChapterContent(chapter, index) {
-        const maxRetries = 3;
-        let retryCount = 0;
+    async crawlChapters(startUrl, options = {}, onChapter = null) {
+        const maxChapters = options.maxChapters || 2000;
+        const resumeFrom = options.resumeFrom || null;
+        const adapter = this.getAdapter(startUrl);
+        const siteRules = this.getSiteRules(startUrl);
+        const storyPattern = this.getStoryUrlPattern(startUrl, options.storyUrlPattern || siteRules.storyUrlPattern);
+
+        this.chapters = resumeFrom ? resumeFrom.slice() : [];
+        const visited = new Set(this.chapters.map(chapter => chapter.url));
+
+        // When resuming, re-read the last chapter only to find its next link
+        let url = resumeFrom && resumeFrom.length > 0 ? resumeFrom[resumeFrom.length - 1].url : startUrl;
+        let skipExtraction = !!(resumeFrom && resumeFrom.length > 0);
+        let stopReason = 'no next chapter link';
+
+        while (url) {
+            if (this.chapters.length >= maxChapters) {
+                stopReason = `reached the maximum of ${maxChapters} chapters`;
+                break;
+            }
+
+            visited.add(url);
+            const index = this.chapters.length;
+            let nextUrl = null;
 
-        while (retryCount < maxRetries) {
             try {
-                console.log(`Fetching chapter ${index + 1}:`, chapter.url);
+                const { html, cached } = await Utils.retry(() => this.fetchPageHtml(url), 3, 2000);
+                const dom = Utils.parseHTML(html);
 
-                // Ensure URL is absolute
-                const absoluteUrl = this.resolveUrl(chapter.url, chapter.baseUrl || '');
-                console.log('Absolute URL:', absoluteUrl);
+                if (index === 0 && !resumeFrom) {
+                    await adapter.extractMetadata(dom, startUrl, this, siteRules);
+                }
 
-                // Try multiple CORS proxies
-                const proxyUrls = [
-                    `https://api.allorigins.win/get?url=${encodeURIComponent(absoluteUrl)}`,
-                    `https://corsproxy.io/?${encodeURIComponent(absoluteUrl)}`,
-                    `https://api.codetabs.com/v1/proxy?quest=${encodeURIComponent(absoluteUrl)}`,
-                    `https://thingproxy.freeboard.io/fetch/${absoluteUrl}`,
-                    `https://yacdn.org/proxy/${absoluteUrl}`
-                ];
-
-                let html = null;
-                let lastError = null;
-
-                for (const proxyUrl of proxyUrls) {
-                    try {
-                        console.log('Trying proxy:', proxyUrl);
-                        const response = await fetch(proxyUrl);
-
-                        if (!response.ok) {
-                            throw new Error(`HTTP error! status: ${response.status}`);
-                        }
-
-                        if (proxyUrl.includes('allorigins')) {
-                            const data = await response.json();
-                            html = data.contents;
-                        } else {
-                            html = await response.text();
-                        }
-
-                        if (html && html.length > 0) {
-                            console.log('Successfully fetched content with length:', html.length);
-                            break;
-                        }
-                    } catch (e) {
-                        console.error('Proxy error:', e);
-                        lastError = e;
-                        continue;
+                const sourceTitle = this.extractChapterTitle(dom, siteRules) || `Chapter ${index + 1}`;
+                const chapter = {
+                    url,
+                    baseUrl: url,
+                    title: this.contentOptions.formatChapterTitle(sourceTitle, this.metaInfo.title, index + 1),
+                    sourceTitle,
+                    index,
+                    selected: true,
+                    status: 'completed',
+                    content: null,
+                    error: null,
+                    cached
+                };
+
+                // Links must be read before extraction strips navigation from the page
+                nextUrl = this.findNextChapterLink(dom, url, siteRules);
+
+                try {
+                    const stitched = await adapter.extractChapterContent(dom, url, this, siteRules);
+                    chapter.content = stitched.content;
+                    chapter.confidence = stitched.confidence;
+                    stitched.partUrls.forEach(partUrl => visited.add(partUrl));
+                    nextUrl = stitched.nextChapterUrl;
+
+                    if (!cached) {
+                        await this.cache.put(url, html, {
+                            content: stitched.content,
+                            confidence: stitched.confidence,
+                            fingerprint: this.getExtractionFingerprint(siteRules)
+                        });
                     }
+                } catch (e) {
+                    chapter.status = 'error';
+                    chapter.error = e.message;
                 }
 
-                if (!html) {
-                    throw new Error(lastError ? `Failed to fetch content: ${lastError.message}` : 'Failed to fetch content from all proxies');
+                if (!skipExtraction) {
+                    this.chapters.push(chapter);
+                    if (onChapter) {
+                        onChapter(chapter, index);
+                    }
                 }
+            } catch (error) {
+                if (index === 0 && !resumeFrom) {
+                    throw error;
+                }
+                console.error('Stopping crawl after fetch error:', error);
+                stopReason = `could not fetch ${url}: ${error.message}`;
+                break;
+            }
 
-                const dom = Utils.parseHTML(html);
+            skipExtraction = false;
 
-                // Get hostname for site-specific rules
-                const hostname = new URL(absoluteUrl).hostname.replace('www.', '');
-                const siteRules = this.siteSpecificRules[hostname] || this.getDefaultRules();
+            if (!nextUrl) {
+                stopReason = 'no next chapter link';
+                break;
+            }
+            if (visited.has(nextUrl)) {
+                stopReason = 'loop detected';
+                break;
+            }
+            if (!storyPattern.test(nextUrl)) {
+                stopReason = 'next link leaves the story';
+                break;
+            }
 
-                // Try to find the content element
-                let contentElement = null;
+            url = nextUrl;
+        }
 
-                // First try site-specific content selector
-                if (siteRules.contentSelector) {
-                    contentElement = dom.querySelector(siteRules.contentSelector);
-                    console.log('Site-specific selector result:', !!contentElement);
-                }
+        console.log(`Crawl stopped (${stopReason}) after ${this.chapters.length} chapters`);
 
-                // If not found, try default content selectors
-                if (!contentElement) {
-                    const defaultSelectors = this.getDefaultRules().contentSelector.split(',');
-                    for (const selector of defaultSelectors) {
-                        contentElement = dom.querySelector(selector.trim());
-                        if (contentElement) {
-                            console.log('Found content with selector:', selector);
-                            break;
-                        }
-                    }
-                }
+        return {
+            metaInfo: this.metaInfo,
+            chapters: this.chapters,
+            stopReason
+        };
+    }
 
-                // If still not found, try to find the largest text block
-                if (!contentElement) {
-                    console.log('No content found with selectors, trying largest text block');
-                    contentElement = this.findLargestTextBlock(dom);
-                }
+    /**
+     * Find the URL of the next chapter on a chapter page
+     * Checks the per-site selector, rel="next" and "Next" link text
+     */
+    findNextChapterLink(dom, pageUrl, siteRules) {
+        const resolve = (element) => {
+            const href = element && element.getAttribute('href');
+            if (!href || href.startsWith('#') || /^javascript:/i.test(href)) return null;
+            const url = this.resolveUrl(href, pageUrl).split('#')[0];
+            return url !== pageUrl && url.startsWith('http') ? url : null;
+        };
 
-                if (!contentElement) {
-                    throw new Error('Could not find chapter content');
-                }
+        // Try each selector in priority order rather than document order
+        for (const selector of this.getPrioritySelectors(siteRules.nextChapterSelector, 'nextChapterSelector')) {
+            const url = resolve(this.querySiteSelector(dom, selector));
+            if (url) return url;
+        }
+
+        const nextTextPattern = /^(?:next(?:\s+chapter)?|next\s*[›»>→]+|[›»>→]+|下一章|下一页|下一頁|次へ|次の話|다음\s*화?)$/i;
+        for (const link of dom.querySelectorAll('a[href]')) {
+            const text = Utils.cleanText(link.textContent || link.getAttribute('title') || '')
+                .replace(/[«‹<←]+/g, '')
+                .trim();
+            if (nextTextPattern.test(text) || /^next\s+chapter\b/i.test(text)) {
+                const url = resolve(link);
+                if (url) return url;
+            }
+        }
 
-                // Clean the content
-                this.removeUnwantedElements(contentElement);
+        return null;
+    }
+
+    /**
+     * List the selectors to try in priority order: the site's selector as written, then each default one
+     * The site selector is never split, since commas may sit inside :is(), :not() or attribute values
+     */
+    getPrioritySelectors(siteSelector, field) {
+        const defaults = this.getDefaultRules()[field].split(',');
+        return [siteSelector, ...defaults].filter(Boolean);
+    }
+
+    /**
+     * Extract the chapter title from a chapter page
+     */
+    extractChapterTitle(dom, siteRules) {
+        for (const selector of this.getPrioritySelectors(siteRules.chapterTitleSelector, 'chapterTitleSelector')) {
+            const element = this.querySiteSelector(dom, selector);
+            const title = element ? Utils.cleanText(element.textContent) : '';
+            if (title) return title;
+        }
+        return '';
+    }
+
+    /**
+     * Build the pattern that crawled URLs must match to stay within the story
+     * Defaults to the host plus the leading path segments of the start URL
+     */
+    getStoryUrlPattern(startUrl, customPattern = '') {
+        if (customPattern) {
+            try {
+                return new RegExp(customPattern);
+            } catch (e) {
+                console.warn('Invalid story URL pattern, using default:', e);
+            }
+        }
+
+        const url = new URL(startUrl);
+        const segments = url.pathname.split('/').filter(Boolean);
+        const prefix = segments.slice(0, Math.min(2, Math.max(segments.length - 1, 0)));
+        const escaped = `${url.origin}/${prefix.join('/')}`.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+        return new RegExp(`^${escaped}`);
+    }
+
+    /**
+     * Fetch and extract content for a single chapter
+     */
+    async fetchChapterContent(chapter, index) {
+        const maxRetries = 3;
+        let retryCount = 0;
+
+        chapter.status = 'loading';
+        chapter.error = null;
+        this.updateChapterUI(index);
+
+        while (retryCount < maxRetries) {
+            let fetchedUrl = null;
+            try {
+                console.log(`Fetching chapter ${index + 1}:`, chapter.url);
 
-                // Extract and clean the content
-                const content = this.extractContent(contentElement);
+                // Ensure URL is absolute
+                const absoluteUrl = this.resolveUrl(chapter.url, chapter.baseUrl || '');
+                console.log('Absolute URL:', absoluteUrl);
 
-                if (!content || content.trim().length < 100) {
-                    throw new Error('Extracted content is too short or empty');
+                const { html, cached, entry } = await this.fetchPageHtml(absoluteUrl, chapter.forceRefresh);
+                if (!cached) fetchedUrl = absoluteUrl;
+                const siteRules = this.getSiteRules(absoluteUrl);
+                const fingerprint = this.getExtractionFingerprint(siteRules);
+
+                // Cached content is reused only if it was extracted with the current settings
+                if (entry && entry.content && entry.fingerprint === fingerprint) {
+                    chapter.content = entry.content;
+                    chapter.confidence = entry.confidence;
+                } else {
+                    const dom = Utils.parseHTML(html);
+                    const adapter = this.getAdapter(absoluteUrl);
+                    const { content, confidence } = await adapter.extractChapterContent(
+                        dom, absoluteUrl, this, siteRules, { forceRefresh: chapter.forceRefresh }
+                    );
+
+                    await this.cache.put(absoluteUrl, html, {
+                        content,
+                        confidence,
+                        fingerprint,
+                        timestamp: entry ? entry.timestamp : Date.now()
+                    });
+
+                    chapter.content = content;
+                    chapter.confidence = confidence;
                 }
 
-                chapter.content = content;
+                chapter.cached = cached;
+                chapter.forceRefresh = false;
                 chapter.status = 'completed';
                 this.updateChapterUI(index);
-
-                // Add a small delay between requests to avoid overwhelming the server
-                await Utils.sleep(1000);
                 return;
 
             } catch (error) {
                 console.error(`Error fetching chapter ${index + 1}:`, error);
                 retryCount++;
 
+                // A downloaded page without usable content is often a rate-limit or challenge page,
+                // so the next attempt waits out the host's backoff like a failed request;
+                // a failed fetch of a later chapter part has already been reported
+                if (fetchedUrl && !error.backoffReported) {
+                    this.scheduler.reportFailure(fetchedUrl);
+                }
+
                 if (retryCount >= maxRetries) {
                     chapter.status = 'error';
                     chapter.error = error.message;
                     this.updateChapterUI(index);
                     throw error;
                 }
-
-                // Wait longer between retries
-                await Utils.sleep(2000 * retryCount);
             }
         }
     }
 
     /**
-     * Find the largest text block in the document
-     * This is used as a fallback when no content selector matches
+     * Get the HTML of a page from the cache or, failing that, the network
+     * entry is the cache entry the HTML came from, if any
      */
-    findLargestTextBlock(dom) {
-        let maxLength = 0;
-        let bestElement = null;
+    async fetchPageHtml(url, forceRefresh = false) {
+        // Use the cached page unless a refresh was requested
+        const cached = forceRefresh ? null : await this.cache.get(url);
+        if (cached) {
+            console.log('Using cached page:', url);
+            return { html: cached.html, cached: true, entry: cached };
+        }
 
-        // Elements that typically contain the main content
-        const contentTags = ['article', 'div', 'section', 'main'];
+        // Wait for the host's rate limit and any shared backoff
+        await this.scheduler.acquire(url);
 
-        for (const tag of contentTags) {
-            const elements = dom.getElementsByTagName(tag);
-            for (const element of elements) {
-                // Skip elements that are likely to be navigation, headers, footers, etc.
-                if (this.isLikelyContent(element)) {
-                    const text = element.textContent.trim();
-                    if (text.length > maxLength) {
-                        maxLength = text.length;
-                        bestElement = element;
-                    }
+        let html;
+        try {
+            html = await this.transport.fetchText(url);
+            this.scheduler.reportSuccess(url);
+        } catch (e) {
+            this.scheduler.reportFailure(url);
+            // Callers retrying after this error must not report the same failure again
+            e.backoffReported = true;
+            throw e;
+        }
+
+        console.log('Successfully fetched content with length:', html.length);
+        return { html, cached: false };
+    }
+
+    /**
+     * Extract a chapter's content, following and concatenating its part pages
+     * Returns the stitched content, the part URLs fetched after the first page,
+     * and the next-chapter link found on the last part
+     */
+    async extractStitchedContent(dom, url, siteRules, forceRefresh = false, adapter = null) {
+        const visited = new Set([url]);
+        const partUrls = [];
+        const parts = [];
+        let confidence = 1;
+        let partDom = dom;
+        let partUrl = url;
+
+        while (true) {
+            // Read the links before extraction strips navigation from the page
+            const nextPartUrl = this.findChapterPartLink(partDom, partUrl, siteRules, visited);
+            const nextChapterUrl = this.findNextChapterLink(partDom, partUrl, siteRules);
+
+            let partContent;
+            if (parts.length === 0) {
+                ({ content: partContent, confidence } = this.extractChapterContent(partDom, siteRules, 100, adapter));
+            } else {
+                try {
+                    // Later parts may legitimately be short
+                    const part = this.extractChapterContent(partDom, siteRules, 1, adapter);
+                    partContent = part.content;
+                    confidence = Math.min(confidence, part.confidence);
+                } catch (e) {
+                    console.warn('Could not extract chapter part, stopping:', partUrl, e);
+                    return { content: parts.join('\n'), confidence, partUrls, nextChapterUrl };
                 }
             }
+
+            // A part identical to the previous one means the site is looping
+            if (parts.length > 0 && partContent === parts[parts.length - 1]) {
+                console.warn('Chapter part repeats the previous one, stopping:', partUrl);
+                return { content: parts.join('\n'), confidence, partUrls, nextChapterUrl };
+            }
+            parts.push(partContent);
+
+            if (!nextPartUrl || parts.length >= this.maxChapterParts) {
+                return { content: parts.join('\n'), confidence, partUrls, nextChapterUrl };
+            }
+
+            console.log(`Following chapter part ${parts.length + 1}:`, nextPartUrl);
+            visited.add(nextPartUrl);
+            partUrls.push(nextPartUrl);
+
+            const { html, cached } = await this.fetchPageHtml(nextPartUrl, forceRefresh);
+            partDom = Utils.parseHTML(html);
+            partUrl = nextPartUrl;
+
+            if (!cached) {
+                await this.cache.put(nextPartUrl, html, { kind: 'part' });
+            }
+        }
+    }
+
+    /**
+     * Find the link to the next part of a chapter split across several pages
+     * Checks the per-site part selector, the same URL with the next page
+     * number, and "Continue reading" style link text
+     */
+    findChapterPartLink(dom, pageUrl, siteRules, visited) {
+        const resolve = (element) => {
+            const href = element && element.getAttribute('href');
+            if (!href || href.startsWith('#') || /^javascript:/i.test(href)) return null;
+            const url = this.resolveUrl(href, pageUrl).split('#')[0];
+            return url !== pageUrl && !visited.has(url) && url.startsWith('http') ? url : null;
+        };
+
+        if (siteRules.chapterPartSelector) {
+            const url = resolve(this.querySiteSelector(dom, siteRules.chapterPartSelector));
+            if (url) return url;
+        }
+
+        const nextPart = this.getPageNumber(pageUrl) + 1;
+        const chapterUrl = this.stripPageNumber(pageUrl);
+        const partTextPattern = /^(?:continue reading|read more|next page|下一页|下一頁|続きを読む|次のページ)\b/i;
+
+        for (const link of dom.querySelectorAll('a[href]')) {
+            const url = resolve(link);
+            if (!url) continue;
+
+            // Same chapter URL with the next page number: chapter-12?page=2, chapter-12/2
+            const samePagePattern = this.getPageNumber(url) === nextPart && this.stripPageNumber(url) === chapterUrl;
+            const trailingNumber = url.replace(/\/+$/, '') === `${chapterUrl}/${nextPart}`;
+            if (samePagePattern || trailingNumber) {
+                return url;
+            }
+        }
+
+        for (const link of dom.querySelectorAll('a[href]')) {
+            if (partTextPattern.test(Utils.cleanText(link.textContent))) {
+                const url = resolve(link);
+                if (url) return url;
+            }
         }
 
-        return bestElement;
+        return null;
     }
 
     /**
-     * Check if an element is likely to be main content
+     * Find and clean the chapter content in a parsed chapter page
+     * Returns { content, confidence }; confidence is 1 when a selector matched
      */
-    isLikelyContent(element) {
-        const className = element.className.toLowerCase();
-        const id = element.id.toLowerCase();
+    extractChapterContent(dom, siteRules, minLength = 100, adapter = null) {
+        // Drop honeypot text while the page's style sheets can still say what is hidden
+        HiddenText.clean(dom);
 
-        // Skip common non-content elements
-        const skipPatterns = [
-            'header', 'footer', 'sidebar', 'menu', 'nav', 'comment',
-            'advertisement', 'breadcrumb', 'pagination', 'social'
-        ];
+        // Try to find the content element
+        let contentElement = null;
+
+        // First try site-specific content selector
+        if (siteRules.contentSelector) {
+            contentElement = this.querySiteSelector(dom, siteRules.contentSelector);
+            console.log('Site-specific selector result:', !!contentElement);
+        }
 
-        for (const pattern of skipPatterns) {
-            if (className.includes(pattern) || id.includes(pattern)) {
-                return false;
+        // If not found, try default content selectors
+        if (!contentElement) {
+            const defaultSelectors = this.getDefaultRules().contentSelector.split(',');
+            for (const selector of defaultSelectors) {
+                contentElement = dom.querySelector(selector.trim());
+                if (contentElement) {
+                    console.log('Found content with selector:', selector);
+                    break;
+                }
             }
         }
 
-        // Check text density
-        const text = element.textContent.trim();
-        const html = element.innerHTML;
-        const textDensity = text.length / html.length;
+        // If still not found, score the page to find the main text
+        let confidence = 1;
+        if (!contentElement) {
+            console.log('No content found with selectors, scoring page for main text');
+            const candidate = ContentExtractor.extract(dom);
+            if (candidate) {
+                contentElement = candidate.element;
+                confidence = candidate.confidence;
+                console.log('Scored content candidate with confidence:', confidence);
+            }
+        }
+
+        if (!contentElement) {
+            throw new Error('Could not find chapter content');
+        }
+
+        // Remove author notes, or collect them at the end of the chapter
+        const authorNoteMode = this.contentOptions.getAuthorNoteMode();
+        if (authorNoteMode !== 'keep') {
+            AuthorNotes.apply(dom, contentElement, siteRules, authorNoteMode);
+        }
 
-        // High text density is likely content
-        return textDensity > 0.5;
+        // Turn styled spans into semantic markup while the page's class rules are known
+        InlineFormatting.apply(contentElement, InlineFormatting.getClassStyles(dom));
+
+        // Mark scene breaks before empty spacer paragraphs are cleaned away
+        SceneBreaks.apply(contentElement);
+
+        // Clean the content
+        this.removeUnwantedElements(contentElement);
+
+        // Remove site-specific clutter
+        (adapter || SiteAdapterRegistry.genericAdapter).cleanup(contentElement, this, siteRules);
+
+        // Extract and clean the content
+        const content = this.extractContent(contentElement);
+
+        if (!content || content.trim().length < minLength) {
+            throw new Error('Extracted content is too short or empty');
+        }
+
+        return { content, confidence };
     }
 
     /**
@@ -518,26 +1065,17 @@ class Parser {
             content.querySelectorAll(selector).forEach(el => el.remove());
         });
 
-        // Clean up text nodes
-        const walker = document.createTreeWalker(
-            content,
-            NodeFilter.SHOW_TEXT,
-            null,
-            false
-        );
-
-        let node;
-        while (node = walker.nextNode()) {
-            node.textContent = node.textContent
-                .replace(/\s+/g, ' ')
-                .trim();
-        }
+        // Clean up text nodes, keeping line breaks and the spaces around inline markup
+        InlineFormatting.collapseWhitespace(content);
 
         // Convert divs to paragraphs where appropriate
         content.querySelectorAll('div').forEach(div => {
-            if (!div.querySelector('div, p, img, table')) {
+            if (!div.querySelector('div, p, img, table, pre')) {
                 const p = document.createElement('p');
                 p.innerHTML = div.innerHTML;
+                if (div.className) {
+                    p.className = div.className;
+                }
                 div.parentNode.replaceChild(p, div);
             }
         });
@@ -552,9 +1090,15 @@ class Parser {
             }
         });
 
+        // Split interleaved original and translated paragraphs
+        const bilingualMode = this.contentOptions.getBilingualMode();
+        if (bilingualMode !== 'keep') {
+            BilingualText.apply(content, bilingualMode, this.metaInfo.language);
+        }
+
         // Clean up empty elements
         content.querySelectorAll('*').forEach(el => {
-            if (!el.textContent.trim() && !el.querySelector('img')) {
+            if (InlineFormatting.isEmpty(el)) {
                 el.remove();
             }
         });
@@ -577,7 +1121,7 @@ class Parser {
             '[id*="share"]', '[class*="share"]',
             // Common novel site specific elements
             '.chapter-nav', '.chapter-navigation', '.prev-chapter', '.next-chapter',
-            '.chapter-buttons', '.rating', '.comments-section', '.author-note',
+            '.chapter-buttons', '.rating', '.comments-section',
             '[id*="comment"]', '[class*="comment"]'
         ];
 
@@ -587,7 +1131,7 @@ class Parser {
 
         // Remove empty elements
         element.querySelectorAll('*').forEach(el => {
-            if (!el.textContent.trim() && !el.querySelector('img')) {
+            if (InlineFormatting.isEmpty(el)) {
                 el.remove();
             }
         });
@@ -604,10 +1148,16 @@ class Parser {
         if (chapterElement && statusElement) {
             // Update status class
             statusElement.className = `chapter-status ${chapter.status}`;
+            statusElement.classList.toggle('low-confidence',
+                chapter.status === 'completed' && chapter.confidence < ContentExtractor.LOW_CONFIDENCE);
 
             // Update status text
             let statusText = chapter.status;
-            if (chapter.status === 'error') {
+            if (chapter.status === 'completed' && chapter.confidence < ContentExtractor.LOW_CONFIDENCE) {
+                statusText = `completed (low confidence ${Math.round(chapter.confidence * 100)}%)`;
+            } else if (chapter.status === 'completed' && chapter.cached) {
+                statusText = 'completed (cached)';
+            } else if (chapter.status === 'error') {
                 statusText = `Error: ${chapter.error || 'Unknown error'}`;
             }
             statusElement.textContent = statusText;
@@ -663,5 +1213,11 @@ class Parser {
     }
 }
 
+// Table of contents headings that name a volume, book, arc or season
+Parser.GROUP_PATTERN = /\b(?:volume|vol\.|book|arc|part|season|saga)\b|第\s*\S+\s*[卷部]|\d+\s*권/i;
+
+// Bump when extraction changes so cached chapter content is extracted again
+Parser.EXTRACTION_VERSION = 1;
+
 // Export for use in other modules
 window.Parser = Parser;
\ No newline at end of file
@@ -0,0 +1,185 @@
+/**
+ * Download scheduler module for WebToEpub web application
+ * Runs chapter downloads concurrently while rate limiting each host
+ */
+
+class DownloadScheduler {
+    constructor(options = null) {
+        this.options = Object.assign(DownloadScheduler.getDefaultOptions(), options || DownloadScheduler.loadOptions());
+        this.hosts = new Map();
+    }
+
+    /**
+     * Get default scheduler options
+     */
+    static getDefaultOptions() {
+        return {
+            concurrency: 3,          // Parallel downloads across all hosts
+            minInterval: 500,        // Minimum ms between two requests to the same host
+            requestsPerMinute: 60,   // Token bucket refill rate per host
+            burst: 3,                // Token bucket capacity per host
+            backoffBase: 2000,       // First backoff delay after a failure
+            backoffMax: 60000        // Longest backoff delay
+        };
+    }
+
+    /**
+     * Load saved scheduler options from localStorage
+     */
+    static loadOptions() {
+        try {
+            const saved = localStorage.getItem(DownloadScheduler.STORAGE_KEY);
+            return saved ? JSON.parse(saved) : {};
+        } catch (e) {
+            console.warn('Could not load scheduler options:', e);
+            return {};
+        }
+    }
+
+    /**
+     * Update and persist scheduler options
+     */
+    configure(options) {
+        const cleaned = {};
+        Object.entries(options).forEach(([key, value]) => {
+            const number = Number(value);
+            if (Number.isFinite(number) && number >= 0) {
+                cleaned[key] = number;
+            }
+        });
+
+        this.options = Object.assign(DownloadScheduler.getDefaultOptions(), this.options, cleaned);
+        this.options.concurrency = Math.min(DownloadScheduler.MAX_CONCURRENCY, Math.max(1, Math.floor(this.options.concurrency)));
+        this.options.burst = Math.max(1, Math.floor(this.options.burst));
+
+        try {
+            localStorage.setItem(DownloadScheduler.STORAGE_KEY, JSON.stringify(this.options));
+        } catch (e) {
+            console.warn('Could not save scheduler options:', e);
+        }
+    }
+
+    /**
+     * Get (or create) the rate limiting state for a URL's host
+     */
+    getHostState(url) {
+        const host = Utils.getDomain(url) || url;
+
+        if (!this.hosts.has(host)) {
+            this.hosts.set(host, {
+                tokens: this.options.burst,
+                lastRefill: Date.now(),
+                lastRequest: 0,
+                backoffUntil: 0,
+                failures: 0
+            });
+        }
+
+        return this.hosts.get(host);
+    }
+
+    /**
+     * Refill a host's token bucket based on elapsed time
+     */
+    refillTokens(state, now) {
+        const ratePerMs = this.options.requestsPerMinute / 60000;
+        if (ratePerMs > 0) {
+            state.tokens = Math.min(this.options.burst, state.tokens + (now - state.lastRefill) * ratePerMs);
+        } else {
+            state.tokens = this.options.burst;
+        }
+        state.lastRefill = now;
+    }
+
+    /**
+     * Wait until a request to the URL's host is allowed, then reserve it
+     */
+    async acquire(url) {
+        const state = this.getHostState(url);
+
+        while (true) {
+            const now = Date.now();
+            this.refillTokens(state, now);
+
+            const ratePerMs = this.options.requestsPerMinute / 60000;
+            const tokenWait = state.tokens >= 1 || ratePerMs <= 0 ? 0 : (1 - state.tokens) / ratePerMs;
+            const wait = Math.max(
+                state.backoffUntil - now,
+                state.lastRequest + this.options.minInterval - now,
+                tokenWait,
+                0
+            );
+
+            if (wait === 0) {
+                state.tokens = Math.max(0, state.tokens - 1);
+                state.lastRequest = now;
+                return;
+            }
+
+            await Utils.sleep(Math.ceil(wait));
+        }
+    }
+
+    /**
+     * Record a successful request, relaxing any backoff for the host
+     */
+    reportSuccess(url) {
+        const state = this.getHostState(url);
+        state.failures = Math.max(0, state.failures - 1);
+    }
+
+    /**
+     * Record a failed request; every download from the host waits out the backoff
+     */
+    reportFailure(url) {
+        const state = this.getHostState(url);
+        state.failures++;
+
+        const delay = Math.min(
+            this.options.backoffMax,
+            this.options.backoffBase * Math.pow(2, state.failures - 1)
+        );
+        state.backoffUntil = Math.max(state.backoffUntil, Date.now() + delay);
+        console.warn(`Backing off ${Utils.getDomain(url)} for ${delay}ms after ${state.failures} failure(s)`);
+    }
+
+    /**
+     * Run a worker over all items with the configured concurrency
+     * Results keep the order of the items regardless of completion order
+     */
+    async runAll(items, worker, onItemDone = null) {
+        const results = new Array(items.length);
+        let nextIndex = 0;
+        let doneCount = 0;
+
+        const runWorker = async () => {
+            while (nextIndex < items.length) {
+                const index = nextIndex++;
+                try {
+                    results[index] = { status: 'fulfilled', value: await worker(items[index], index) };
+                } catch (error) {
+                    results[index] = { status: 'rejected', reason: error };
+                }
+
+                doneCount++;
+                if (onItemDone) {
+                    onItemDone(results[index], index, doneCount);
+                }
+            }
+        };
+
+        // Saved or imported options may hold any number, so the pool is capped here too
+        const poolSize = Math.min(this.options.concurrency, DownloadScheduler.MAX_CONCURRENCY, items.length);
+        await Promise.all(Array.from({ length: poolSize }, runWorker));
+
+        return results;
+    }
+}
+
+DownloadScheduler.STORAGE_KEY = 'webToEpub.scheduler';
+
+// Most parallel downloads allowed, matching the limit of the settings field
+DownloadScheduler.MAX_CONCURRENCY = 16;
+
+// Export for use in other modules
+window.DownloadScheduler = DownloadScheduler;
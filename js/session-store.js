@@ -0,0 +1,181 @@
+/**
+ * Session store module for WebToEpub web application
+ * Persists the current download session in IndexedDB so it can be resumed
+ */
+
+class SessionStore {
+    constructor() {
+        this.dbPromise = null;
+    }
+
+    /**
+     * Open the session database, creating the object stores on first use
+     */
+    openDatabase() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                if (typeof indexedDB === 'undefined') {
+                    reject(new Error('IndexedDB is not available'));
+                    return;
+                }
+
+                const request = indexedDB.open(SessionStore.DB_NAME, SessionStore.DB_VERSION);
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains('session')) {
+                        db.createObjectStore('session', { keyPath: 'id' });
+                    }
+                    if (!db.objectStoreNames.contains('chapters')) {
+                        db.createObjectStore('chapters', { keyPath: 'index' });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+
+            // Allow a later call to retry if opening failed
+            this.dbPromise.catch(() => {
+                this.dbPromise = null;
+            });
+        }
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a callback inside a transaction over both stores
+     */
+    async withStores(mode, callback) {
+        const db = await this.openDatabase();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(['session', 'chapters'], mode);
+            const result = callback(transaction.objectStore('session'), transaction.objectStore('chapters'));
+
+            transaction.oncomplete = () => resolve(result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Convert a chapter to the fields worth persisting
+     */
+    serializeChapter(chapter, index) {
+        return {
+            index,
+            url: chapter.url,
+            baseUrl: chapter.baseUrl,
+            title: chapter.title,
+            sourceTitle: chapter.sourceTitle,
+            group: chapter.group,
+            selected: chapter.selected,
+            // A chapter that was mid-download when the page died is still pending
+            status: chapter.status === 'loading' ? 'pending' : chapter.status,
+            content: chapter.content,
+            confidence: chapter.confidence,
+            error: chapter.error
+        };
+    }
+
+    /**
+     * Start a new session, replacing any previous one
+     * The mode records how chapters were found ("toc" or "next")
+     */
+    async start(url, metaInfo, chapters, mode = 'toc') {
+        try {
+            await this.withStores('readwrite', (sessionStore, chapterStore) => {
+                sessionStore.clear();
+                chapterStore.clear();
+                sessionStore.put({ id: 'current', url, metaInfo, mode, updatedAt: Date.now() });
+                chapters.forEach((chapter, index) => chapterStore.put(this.serializeChapter(chapter, index)));
+            });
+        } catch (e) {
+            console.warn('Could not save session:', e);
+        }
+    }
+
+    /**
+     * Save the metadata of the current session
+     */
+    async saveMetaInfo(metaInfo) {
+        try {
+            await this.withStores('readwrite', (sessionStore) => {
+                const request = sessionStore.get('current');
+                request.onsuccess = () => {
+                    if (request.result) {
+                        sessionStore.put(Object.assign(request.result, { metaInfo, updatedAt: Date.now() }));
+                    }
+                };
+            });
+        } catch (e) {
+            console.warn('Could not save session metadata:', e);
+        }
+    }
+
+    /**
+     * Save the state of a single chapter
+     */
+    async saveChapter(chapter, index) {
+        try {
+            await this.withStores('readwrite', (sessionStore, chapterStore) => {
+                chapterStore.put(this.serializeChapter(chapter, index));
+            });
+        } catch (e) {
+            console.warn('Could not save session chapter:', e);
+        }
+    }
+
+    /**
+     * Load the previous session, or null if there is none
+     */
+    async load() {
+        try {
+            let session = null;
+            let chapters = [];
+
+            await this.withStores('readonly', (sessionStore, chapterStore) => {
+                const sessionRequest = sessionStore.get('current');
+                sessionRequest.onsuccess = () => {
+                    session = sessionRequest.result || null;
+                };
+
+                const chaptersRequest = chapterStore.getAll();
+                chaptersRequest.onsuccess = () => {
+                    chapters = chaptersRequest.result || [];
+                };
+            });
+
+            if (!session || chapters.length === 0) {
+                return null;
+            }
+
+            chapters.sort((a, b) => a.index - b.index);
+            return Object.assign(session, { chapters });
+        } catch (e) {
+            console.warn('Could not load session:', e);
+            return null;
+        }
+    }
+
+    /**
+     * Delete the saved session
+     */
+    async clear() {
+        try {
+            await this.withStores('readwrite', (sessionStore, chapterStore) => {
+                sessionStore.clear();
+                chapterStore.clear();
+            });
+        } catch (e) {
+            console.warn('Could not clear session:', e);
+        }
+    }
+}
+
+SessionStore.DB_NAME = 'webToEpubSession';
+SessionStore.DB_VERSION = 1;
+
+// Export for use in other modules
+window.SessionStore = SessionStore;
@@ -0,0 +1,333 @@
+/**
+ * Transport module for WebToEpub web application
+ * Routes every network request through a configurable fetch backend
+ */
+
+class Transport {
+    constructor(settings = null) {
+        this.settings = Object.assign(Transport.getDefaultSettings(), settings || Transport.loadSettings());
+        this.customFetch = null;
+    }
+
+    /**
+     * Get default transport settings
+     */
+    static getDefaultSettings() {
+        return {
+            mode: 'public',
+            proxyTemplate: '',
+            jsonTemplate: '',
+            jsonField: 'contents',
+            relayUrl: 'http://127.0.0.1:8787'
+        };
+    }
+
+    /**
+     * Load saved transport settings from localStorage
+     */
+    static loadSettings() {
+        try {
+            const saved = localStorage.getItem(Transport.STORAGE_KEY);
+            return saved ? JSON.parse(saved) : {};
+        } catch (e) {
+            console.warn('Could not load transport settings:', e);
+            return {};
+        }
+    }
+
+    /**
+     * Update and persist transport settings
+     */
+    configure(settings) {
+        this.settings = Object.assign(Transport.getDefaultSettings(), this.settings, settings);
+
+        try {
+            localStorage.setItem(Transport.STORAGE_KEY, JSON.stringify(this.settings));
+        } catch (e) {
+            console.warn('Could not save transport settings:', e);
+        }
+    }
+
+    /**
+     * Register the function used by the "custom" backend
+     * The function receives the target URL and may return a Response,
+     * a string, an ArrayBuffer or a { body, status, finalUrl, contentType } object
+     * Strings are taken as already decoded text; ArrayBuffers are decoded like a page
+     */
+    setCustomFetch(fn) {
+        this.customFetch = typeof fn === 'function' ? fn : null;
+    }
+
+    /**
+     * Build the list of backends to try for the current settings
+     */
+    getBackends() {
+        const { mode, proxyTemplate, jsonTemplate, jsonField, relayUrl } = this.settings;
+
+        switch (mode) {
+            case 'direct':
+                return [Transport.createDirectBackend()];
+            case 'proxy':
+                if (!proxyTemplate) {
+                    throw new Error('No proxy URL template configured');
+                }
+                return [Transport.createProxyBackend(proxyTemplate)];
+            case 'json':
+                if (!jsonTemplate) {
+                    throw new Error('No JSON proxy URL template configured');
+                }
+                return [Transport.createJsonEnvelopeBackend(jsonTemplate, jsonField)];
+            case 'relay':
+                if (!relayUrl) {
+                    throw new Error('No relay server URL configured');
+                }
+                return [Transport.createRelayBackend(relayUrl)];
+            case 'custom': {
+                const fn = this.customFetch || window.webToEpubFetch;
+                if (typeof fn !== 'function') {
+                    throw new Error('No custom fetch function registered');
+                }
+                return [Transport.createCustomBackend(fn)];
+            }
+            default:
+                return Transport.getPublicProxyBackends();
+        }
+    }
+
+    /**
+     * Fetch a URL and return the normalized response from the first backend that succeeds
+     */
+    async request(url) {
+        const backends = this.getBackends();
+        let lastError = null;
+
+        for (const backend of backends) {
+            try {
+                console.log(`Fetching via ${backend.name}:`, url);
+                const result = await backend.fetch(url);
+
+                if (result.status && (result.status < 200 || result.status >= 300)) {
+                    throw new Error(`HTTP error! status: ${result.status}`);
+                }
+
+                if (result.body && result.body.byteLength > 0) {
+                    return result;
+                }
+
+                throw new Error('Empty response');
+            } catch (e) {
+                console.error(`Transport ${backend.name} error:`, e);
+                lastError = e;
+            }
+        }
+
+        throw new Error(lastError ? `Failed to fetch content: ${lastError.message}` : 'Failed to fetch content');
+    }
+
+    /**
+     * Fetch a URL as text, decoded with the charset the page declares
+     */
+    async fetchText(url) {
+        const result = await this.request(url);
+        return CharsetDetector.decode(result.body, result.contentType, result.charset);
+    }
+
+    /**
+     * Fetch a URL as a Blob
+     */
+    async fetchBlob(url, mimeType = '') {
+        const result = await this.request(url);
+        return new Blob([result.body], { type: mimeType || result.contentType || 'application/octet-stream' });
+    }
+
+    /**
+     * Backend that fetches the URL directly (requires CORS or a privileged context)
+     */
+    static createDirectBackend() {
+        return {
+            name: 'direct',
+            fetch: async (url) => Transport.fromResponse(await fetch(url))
+        };
+    }
+
+    /**
+     * Backend that forwards through a proxy URL template
+     * Supports {url} and {encodedUrl} placeholders; otherwise the encoded URL is appended
+     */
+    static createProxyBackend(template, name = 'proxy') {
+        return {
+            name,
+            fetch: async (url) => Transport.fromResponse(await fetch(Transport.expandTemplate(template, url)))
+        };
+    }
+
+    /**
+     * Backend for the bundled relay server (server/relay.js)
+     * The relay reports the upstream status and final URL in response headers
+     */
+    static createRelayBackend(relayUrl) {
+        const endpoint = `${relayUrl.replace(/\/+$/, '')}/fetch?url=`;
+
+        return {
+            name: 'relay',
+            fetch: async (url) => {
+                const response = await fetch(endpoint + encodeURIComponent(url));
+
+                if (!response.ok) {
+                    let message = `HTTP error! status: ${response.status}`;
+                    try {
+                        const data = await response.json();
+                        if (data.error) message = `Relay error: ${data.error}`;
+                    } catch (e) {
+                        // Upstream error page, keep the status message
+                    }
+                    throw new Error(message);
+                }
+
+                return {
+                    body: await response.arrayBuffer(),
+                    status: parseInt(response.headers.get('x-upstream-status'), 10) || response.status,
+                    finalUrl: response.headers.get('x-final-url') || url,
+                    contentType: response.headers.get('content-type') || ''
+                };
+            }
+        };
+    }
+
+    /**
+     * Backend for proxies that wrap the page in a JSON envelope (e.g. allorigins /get)
+     */
+    static createJsonEnvelopeBackend(template, field = 'contents', name = 'json-envelope') {
+        return {
+            name,
+            fetch: async (url) => {
+                const response = await fetch(Transport.expandTemplate(template, url));
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+
+                const data = await response.json();
+                const contents = (field || 'contents').split('.').reduce((value, key) => value && value[key], data);
+
+                if (typeof contents !== 'string') {
+                    throw new Error(`JSON envelope has no "${field}" field`);
+                }
+
+                const status = data.status && data.status.http_code;
+                const contentType = (data.status && data.status.content_type) || '';
+                const isDataUrl = contents.startsWith('data:');
+
+                return {
+                    body: Transport.decodeEnvelopeContents(contents),
+                    status: status || response.status,
+                    finalUrl: (data.status && data.status.url) || url,
+                    contentType,
+                    // Plain text contents were already decoded by the proxy and re-encoded here
+                    charset: isDataUrl ? null : 'utf-8'
+                };
+            }
+        };
+    }
+
+    /**
+     * Backend that delegates to a user supplied function
+     */
+    static createCustomBackend(fn) {
+        return {
+            name: 'custom',
+            fetch: async (url) => {
+                const result = await fn(url);
+
+                if (typeof Response !== 'undefined' && result instanceof Response) {
+                    return Transport.fromResponse(result);
+                }
+                if (typeof result === 'string') {
+                    return { body: new TextEncoder().encode(result).buffer, status: 200, finalUrl: url, contentType: '', charset: 'utf-8' };
+                }
+                if (result instanceof ArrayBuffer) {
+                    return { body: result, status: 200, finalUrl: url, contentType: '' };
+                }
+                if (result && result.body !== undefined) {
+                    const body = typeof result.body === 'string'
+                        ? new TextEncoder().encode(result.body).buffer
+                        : result.body;
+                    return {
+                        body,
+                        status: result.status || 200,
+                        finalUrl: result.finalUrl || url,
+                        contentType: result.contentType || '',
+                        charset: typeof result.body === 'string' ? 'utf-8' : null
+                    };
+                }
+
+                throw new Error('Custom fetch function returned an unsupported value');
+            }
+        };
+    }
+
+    /**
+     * Backends used by the default "public" mode, tried in order
+     * All of them pass the page bytes through, so pages in legacy encodings such as GBK decode correctly
+     */
+    static getPublicProxyBackends() {
+        return [
+            Transport.createProxyBackend('https://api.allorigins.win/raw?url={encodedUrl}', 'allorigins'),
+            Transport.createProxyBackend('https://cors-anywhere.herokuapp.com/{url}', 'cors-anywhere'),
+            Transport.createProxyBackend('https://api.codetabs.com/v1/proxy?quest={encodedUrl}', 'codetabs'),
+            Transport.createProxyBackend('https://corsproxy.io/?{encodedUrl}', 'corsproxy.io'),
+            Transport.createProxyBackend('https://thingproxy.freeboard.io/fetch/{url}', 'thingproxy'),
+            Transport.createProxyBackend('https://yacdn.org/proxy/{url}', 'yacdn')
+        ];
+    }
+
+    /**
+     * Normalize a fetch Response
+     */
+    static async fromResponse(response) {
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        return {
+            body: await response.arrayBuffer(),
+            status: response.status,
+            finalUrl: response.url,
+            contentType: response.headers.get('content-type') || ''
+        };
+    }
+
+    /**
+     * Decode JSON envelope contents, which are either plain text or a base64 data URL
+     */
+    static decodeEnvelopeContents(contents) {
+        const dataUrlMatch = contents.match(/^data:[^,]*;base64,(.*)$/s);
+        if (dataUrlMatch) {
+            const binaryString = atob(dataUrlMatch[1]);
+            const bytes = new Uint8Array(binaryString.length);
+            for (let i = 0; i < binaryString.length; i++) {
+                bytes[i] = binaryString.charCodeAt(i);
+            }
+            return bytes.buffer;
+        }
+
+        return new TextEncoder().encode(contents).buffer;
+    }
+
+    /**
+     * Substitute the target URL into a proxy template
+     */
+    static expandTemplate(template, url) {
+        if (template.includes('{url}') || template.includes('{encodedUrl}')) {
+            // Function replacements, so "$&" and friends in the URL are not expanded
+            return template
+                .replace(/\{encodedUrl\}/g, () => encodeURIComponent(url))
+                .replace(/\{url\}/g, () => url);
+        }
+        return template + encodeURIComponent(url);
+    }
+}
+
+Transport.STORAGE_KEY = 'webToEpub.transport';
+
+// Export for use in other modules
+window.Transport = Transport;
@@ -0,0 +1,321 @@
+/**
+ * Self-hosted CORS relay for WebToEpub web application
+ * Forwards GET requests to allowlisted sites and returns the raw bytes
+ *
+ * Usage:
+ *   node server/relay.js [config.json]
+ *
+ * Endpoint:
+ *   GET /fetch?url=<target>[&referer=<url>][&cookie=<cookie>][&userAgent=<ua>]
+ *
+ * The response body is the upstream body, unmodified. The upstream status
+ * and the final URL after redirects are returned in the X-Upstream-Status
+ * and X-Final-Url headers.
+ *
+ * Browsers may only call the relay from the origins listed in allowedOrigins,
+ * e.g. "http://localhost:8000" for the page serving the front end.
+ */
+
+const http = require('http');
+const https = require('https');
+const zlib = require('zlib');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CONFIG = {
+    host: '127.0.0.1',
+    port: 8787,
+    allowedDomains: [],
+    allowedOrigins: [],
+    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0 Safari/537.36',
+    cookies: {},
+    maxRedirects: 10,
+    timeout: 30000,
+    maxBodySize: 20 * 1024 * 1024
+};
+
+/**
+ * Load relay configuration from a JSON file and environment variables
+ */
+function loadConfig(configPath) {
+    const config = Object.assign({}, DEFAULT_CONFIG);
+
+    if (configPath) {
+        const fileConfig = JSON.parse(fs.readFileSync(path.resolve(configPath), 'utf8'));
+        Object.assign(config, fileConfig);
+    }
+
+    if (process.env.RELAY_HOST) config.host = process.env.RELAY_HOST;
+    if (process.env.RELAY_PORT) config.port = parseInt(process.env.RELAY_PORT, 10);
+    if (process.env.RELAY_USER_AGENT) config.userAgent = process.env.RELAY_USER_AGENT;
+    if (process.env.RELAY_ALLOWED_DOMAINS) {
+        config.allowedDomains = process.env.RELAY_ALLOWED_DOMAINS
+            .split(',')
+            .map(domain => domain.trim())
+            .filter(Boolean);
+    }
+    if (process.env.RELAY_ALLOWED_ORIGINS) {
+        config.allowedOrigins = process.env.RELAY_ALLOWED_ORIGINS
+            .split(',')
+            .map(origin => origin.trim())
+            .filter(Boolean);
+    }
+
+    return config;
+}
+
+/**
+ * Check whether a hostname is covered by the allowlist
+ * An entry matches the domain itself and all of its subdomains
+ */
+function isAllowedHost(hostname, allowedDomains) {
+    const host = hostname.toLowerCase();
+    return allowedDomains.some(domain => {
+        const entry = domain.toLowerCase().replace(/^\*\./, '');
+        return host === entry || host.endsWith(`.${entry}`);
+    });
+}
+
+/**
+ * Find the configured cookie string for a hostname
+ */
+function getCookieForHost(hostname, cookies) {
+    const host = hostname.replace(/^www\./, '');
+    const match = Object.keys(cookies || {}).find(domain =>
+        host === domain || host.endsWith(`.${domain}`)
+    );
+    return match ? cookies[match] : '';
+}
+
+/**
+ * Create a decompression stream for an upstream Content-Encoding, or null when the body is not compressed
+ */
+function createDecoder(encoding) {
+    switch ((encoding || '').toLowerCase()) {
+        case 'gzip':
+        case 'x-gzip':
+            return zlib.createGunzip();
+        case 'deflate':
+            return zlib.createInflate();
+        case 'br':
+            return zlib.createBrotliDecompress();
+        default:
+            return null;
+    }
+}
+
+/**
+ * Perform a single upstream GET request and read the decompressed body
+ * The size limit applies to the decompressed bytes, so a small compressed body cannot expand without bound
+ */
+function requestOnce(targetUrl, headers, config) {
+    return new Promise((resolve, reject) => {
+        const client = targetUrl.protocol === 'http:' ? http : https;
+        let settled = false;
+        const fail = (error) => {
+            if (settled) return;
+            settled = true;
+            request.destroy();
+            reject(error);
+        };
+
+        const request = client.get(targetUrl, { headers, timeout: config.timeout }, (response) => {
+            const decoder = createDecoder(response.headers['content-encoding']);
+            const body = decoder ? response.pipe(decoder) : response;
+            const chunks = [];
+            let size = 0;
+
+            response.on('error', fail);
+            body.on('error', fail);
+            body.on('data', (chunk) => {
+                size += chunk.length;
+                if (size > config.maxBodySize) {
+                    response.destroy();
+                    if (decoder) decoder.destroy();
+                    fail(Object.assign(new Error('Upstream response too large'), { statusCode: 502 }));
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            body.on('end', () => {
+                if (settled) return;
+                settled = true;
+                resolve({
+                    status: response.statusCode,
+                    headers: response.headers,
+                    body: Buffer.concat(chunks)
+                });
+            });
+        });
+
+        request.on('timeout', () => fail(Object.assign(new Error('Upstream request timed out'), { statusCode: 504 })));
+        request.on('error', fail);
+    });
+}
+
+/**
+ * Fetch a URL, following redirects while enforcing the allowlist on every hop
+ */
+async function relayFetch(url, options, config) {
+    let currentUrl = new URL(url);
+    const originalHost = currentUrl.hostname;
+
+    for (let redirects = 0; redirects <= config.maxRedirects; redirects++) {
+        if (!['http:', 'https:'].includes(currentUrl.protocol)) {
+            throw Object.assign(new Error(`Unsupported protocol: ${currentUrl.protocol}`), { statusCode: 400 });
+        }
+        if (!isAllowedHost(currentUrl.hostname, config.allowedDomains)) {
+            throw Object.assign(new Error(`Domain not allowed: ${currentUrl.hostname}`), { statusCode: 403 });
+        }
+
+        const headers = {
+            'User-Agent': options.userAgent || config.userAgent,
+            'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/*;q=0.8,*/*;q=0.7',
+            'Accept-Encoding': 'gzip, deflate, br'
+        };
+
+        const referer = options.referer || `${currentUrl.protocol}//${currentUrl.host}/`;
+        if (referer) headers['Referer'] = referer;
+
+        // A cookie passed with the request belongs to the requested site only, never to a redirect target
+        const cookie = options.cookie && currentUrl.hostname === originalHost
+            ? options.cookie
+            : getCookieForHost(currentUrl.hostname, config.cookies);
+        if (cookie) headers['Cookie'] = cookie;
+
+        const response = await requestOnce(currentUrl, headers, config);
+
+        if (response.status >= 300 && response.status < 400 && response.headers.location) {
+            currentUrl = new URL(response.headers.location, currentUrl);
+            continue;
+        }
+
+        return {
+            status: response.status,
+            finalUrl: currentUrl.href,
+            contentType: response.headers['content-type'] || 'application/octet-stream',
+            body: response.body
+        };
+    }
+
+    throw Object.assign(new Error('Too many redirects'), { statusCode: 502 });
+}
+
+/**
+ * Check whether a browser origin may use the relay
+ * Requests without an Origin header come from tools such as curl, not from web pages
+ */
+function isAllowedOrigin(origin, allowedOrigins) {
+    if (!origin) return true;
+    return (allowedOrigins || []).some(entry => entry.replace(/\/+$/, '').toLowerCase() === origin.toLowerCase());
+}
+
+/**
+ * Write CORS headers so the front end can read the relay response
+ * Only configured origins are named, so other pages the user visits cannot read sites through the relay
+ */
+function setCorsHeaders(req, res, config) {
+    const origin = req.headers.origin;
+    res.setHeader('Vary', 'Origin');
+    if (!origin || !isAllowedOrigin(origin, config.allowedOrigins)) return;
+
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Expose-Headers', 'X-Final-Url, X-Upstream-Status, Content-Type');
+}
+
+/**
+ * Send a JSON error response
+ */
+function sendError(res, statusCode, message) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify({ error: message }));
+}
+
+/**
+ * Create the relay HTTP server
+ */
+function createRelayServer(config) {
+    return http.createServer(async (req, res) => {
+        setCorsHeaders(req, res, config);
+
+        // Pages on other origins must not make the relay send the configured cookies upstream
+        if (!isAllowedOrigin(req.headers.origin, config.allowedOrigins)) {
+            sendError(res, 403, 'Origin not allowed');
+            return;
+        }
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+
+        // The Host header is client input, so parse against a fixed base
+        let requestUrl;
+        try {
+            requestUrl = new URL(req.url, 'http://localhost');
+        } catch (e) {
+            sendError(res, 400, 'Invalid request URL');
+            return;
+        }
+
+        if (req.method !== 'GET' || requestUrl.pathname !== '/fetch') {
+            sendError(res, 404, 'Not found');
+            return;
+        }
+
+        const target = requestUrl.searchParams.get('url');
+        if (!target) {
+            sendError(res, 400, 'Missing url parameter');
+            return;
+        }
+
+        try {
+            new URL(target);
+        } catch (e) {
+            sendError(res, 400, 'Invalid url parameter');
+            return;
+        }
+
+        try {
+            const result = await relayFetch(target, {
+                referer: requestUrl.searchParams.get('referer') || '',
+                cookie: requestUrl.searchParams.get('cookie') || '',
+                userAgent: requestUrl.searchParams.get('userAgent') || ''
+            }, config);
+
+            console.log(`${result.status} ${target}${result.finalUrl !== target ? ` -> ${result.finalUrl}` : ''}`);
+
+            res.writeHead(result.status, {
+                'Content-Type': result.contentType,
+                'Content-Length': result.body.length,
+                'X-Final-Url': result.finalUrl,
+                'X-Upstream-Status': String(result.status)
+            });
+            res.end(result.body);
+        } catch (error) {
+            console.error(`Relay error for ${target}:`, error.message);
+            sendError(res, error.statusCode || 502, error.message);
+        }
+    });
+}
+
+if (require.main === module) {
+    const config = loadConfig(process.argv[2] || process.env.RELAY_CONFIG);
+
+    if (config.allowedDomains.length === 0) {
+        console.warn('Warning: allowedDomains is empty, every request will be rejected');
+    }
+    if (config.allowedOrigins.length === 0) {
+        console.warn('Warning: allowedOrigins is empty, browsers will not be able to use the relay');
+    }
+
+    createRelayServer(config).listen(config.port, config.host, () => {
+        console.log(`WebToEpub relay listening on http://${config.host}:${config.port}`);
+        console.log(`Allowed domains: ${config.allowedDomains.join(', ') || '(none)'}`);
+        console.log(`Allowed origins: ${config.allowedOrigins.join(', ') || '(none)'}`);
+    });
+}
+
+module.exports = { createRelayServer, relayFetch, loadConfig, isAllowedHost, isAllowedOrigin };